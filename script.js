@@ -1,6 +1,7 @@
 // ================= 序列 1：总词典架构 & 高级数据引擎 =================
 
 let globalDict = {}; 
+let dictOriginals = {}; // 被用户修改过的词条的原始版本：id → 词条（见 JS 序列 31）
 let globalVocabularyData = []; 
 let learningQueue = [];
 let learnedCount = 0;
@@ -19,12 +20,21 @@ let spellTotalInRound = 0;
 let spellHasErroredThisTurn = false;
 let isSpellChecking = false;
 let isComposing = false;
+let dictationSession = null; // 听写时为 { kind: 'word' | 'sentence', items, returnView }，普通拼写为 null
+let spellHintState = { revealed: 0, audio: false }; // 本题已用到的提示
+let spellHintUsage = {}; // 本轮拼写各单词的提示消耗：wordId → { penalty, audio }
 
 let currentBookName = '核心葡语词汇';
 
 let isReviewMode = false;
 let currentReviewWords = [];
+let reviewReturnView = null; // 复习结束后回到的页面（首页或单词本），学新词时为 null
 
+// 多本在学词书：bookId → 单词数组（globalVocabularyData 始终指向仪表盘上的当前词书）
+let activeBookData = {};
+let currentSessionWords = [];
+
+// 旧版固定间隔，仅用于迁移历史进度 (见 Scheduler.migrateLegacyEntry)
 const EBBINGHAUS_INTERVALS = [1, 2, 4, 7, 15, 30, 60]; 
 
 // 获取以凌晨4点为界限的真实“今天”的日期字符串 (YYYY-MM-DD)
@@ -47,22 +57,534 @@ function getNextReviewTime(days) {
     return targetDate.getTime();
 }
 
+// ================= 自适应复习调度器 (SM-2 / FSRS) =================
+
+// 评分档位：与复习页底部按钮一一对应（忘记了/记错了 = AGAIN，模糊 = HARD，认识 = GOOD）
+const REVIEW_GRADES = { AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 };
+const DEFAULT_SCHEDULER = 'fsrs';
+const MAX_INTERVAL_DAYS = 365;
+
+// SM-2：经典 SuperMemo 算法，ease 随评分浮动
+const SM2Algorithm = {
+    label: 'SM-2',
+    review: function(srs, grade) {
+        const q = { 1: 1, 2: 3, 3: 4, 4: 5 }[grade];
+        let ease = srs.ease || 2.5;
+        let reps = srs.reps || 0;
+        let interval = srs.interval || 0;
+
+        ease = Math.max(1.3, ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+
+        if (grade === REVIEW_GRADES.AGAIN) {
+            reps = 0;
+            interval = 1;
+        } else {
+            reps++;
+            if (reps === 1) interval = grade === REVIEW_GRADES.EASY ? 4 : 1;
+            else if (reps === 2) interval = grade === REVIEW_GRADES.HARD ? 3 : 6;
+            else if (grade === REVIEW_GRADES.HARD) interval = Math.max(interval + 1, Math.round(interval * 1.2));
+            else if (grade === REVIEW_GRADES.EASY) interval = Math.round(interval * ease * 1.3);
+            else interval = Math.round(interval * ease);
+        }
+        return { ...srs, ease: Math.round(ease * 100) / 100, reps, interval };
+    }
+};
+
+// FSRS (v4.5 默认参数)：以稳定性 S / 难度 D / 可提取性 R 建模记忆
+const FSRS_WEIGHTS = [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const FSRS_RETENTION = 0.9;
+
+const FSRSAlgorithm = {
+    label: 'FSRS',
+    initDifficulty: function(grade) {
+        const w = FSRS_WEIGHTS;
+        return Math.min(10, Math.max(1, w[4] - (grade - 3) * w[5]));
+    },
+    retrievability: function(elapsedDays, stability) {
+        return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+    },
+    review: function(srs, grade) {
+        const w = FSRS_WEIGHTS;
+        let stability, difficulty;
+
+        if (!srs.stability && !srs.interval) {
+            // 首次评分
+            stability = w[grade - 1];
+            difficulty = this.initDifficulty(grade);
+        } else {
+            const lastS = srs.stability || srs.interval || 1;
+            const lastD = srs.difficulty || this.initDifficulty(REVIEW_GRADES.GOOD);
+            const elapsed = srs.lastReview ? Math.max(0, (Date.now() - srs.lastReview) / 86400000) : (srs.interval || lastS);
+            const r = this.retrievability(elapsed, lastS);
+
+            difficulty = lastD - w[6] * (grade - 3);
+            difficulty = w[7] * this.initDifficulty(REVIEW_GRADES.EASY) + (1 - w[7]) * difficulty; // 均值回归
+            difficulty = Math.min(10, Math.max(1, difficulty));
+
+            if (grade === REVIEW_GRADES.AGAIN) {
+                stability = w[11] * Math.pow(lastD, -w[12]) * (Math.pow(lastS + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+                stability = Math.min(stability, lastS);
+            } else {
+                const hardPenalty = grade === REVIEW_GRADES.HARD ? w[15] : 1;
+                const easyBonus = grade === REVIEW_GRADES.EASY ? w[16] : 1;
+                stability = lastS * (Math.exp(w[8]) * (11 - lastD) * Math.pow(lastS, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus + 1);
+            }
+        }
+
+        const interval = Math.max(1, Math.round(stability / FSRS_FACTOR * (Math.pow(FSRS_RETENTION, 1 / FSRS_DECAY) - 1)));
+        return {
+            ...srs,
+            stability: Math.round(stability * 100) / 100,
+            difficulty: Math.round(difficulty * 100) / 100,
+            reps: grade === REVIEW_GRADES.AGAIN ? 0 : (srs.reps || 0) + 1,
+            interval
+        };
+    }
+};
+
+const Scheduler = {
+    algorithms: { sm2: SM2Algorithm, fsrs: FSRSAlgorithm },
+    getAlgorithm: function(name) {
+        return this.algorithms[name] || this.algorithms[DEFAULT_SCHEDULER];
+    },
+    // 对一个单词的调度状态打分，返回新状态（interval 单位：天）
+    review: function(srs, grade, algoName) {
+        const name = this.algorithms[algoName] ? algoName : DEFAULT_SCHEDULER;
+        let next = this.getAlgorithm(name).review(srs || {}, grade);
+        next.interval = Math.min(MAX_INTERVAL_DAYS, Math.max(1, next.interval));
+        next.algo = name;
+        next.lastReview = Date.now();
+        if (grade === REVIEW_GRADES.AGAIN && srs && srs.lastReview) next.lapses = (srs.lapses || 0) + 1;
+        else next.lapses = (srs && srs.lapses) || 0;
+        return next;
+    },
+    // 旧版艾宾浩斯进度 (ebStage/nextReviewDate) 转换为调度状态，保留原定的复习日期
+    migrateLegacyEntry: function(entry) {
+        if (!entry || entry.srs || entry.ebStage === undefined) return false;
+        const stage = Math.min(entry.ebStage || 0, EBBINGHAUS_INTERVALS.length - 1);
+        const interval = EBBINGHAUS_INTERVALS[stage];
+        entry.srs = {
+            algo: DEFAULT_SCHEDULER,
+            reps: stage + 1,
+            lapses: 0,
+            interval: interval,
+            ease: 2.5,
+            stability: interval,
+            difficulty: FSRSAlgorithm.initDifficulty(REVIEW_GRADES.GOOD),
+            lastReview: entry.nextReviewDate ? entry.nextReviewDate - interval * 86400000 : Date.now()
+        };
+        delete entry.ebStage;
+        return true;
+    }
+};
+
+// ================= 本地存储管理器 =================
+// 数据以「键 → 整块 JSON」形式常驻内存，读取全部同步；写入只标记脏键，
+// 由 flush() 合并成一个事务批量落盘。优先 IndexedDB，不可用时退回 localStorage。
+
+const STORAGE_SCHEMA_VERSION = 3;
+const STORAGE_DB_NAME = 'splendid_db';
+const STORAGE_OBJECT_STORE = 'kv';
+const STORAGE_LS_PREFIX = 'splendid_store_';
+const STORAGE_FLUSH_DELAY = 800;
+
+// 所有持久化的数据块及其默认值
+const STORAGE_DEFAULTS = {
+    progress: () => ({}),
+    stats: () => ({ dates: [], timeByDate: {}, totalTime: 0 }),
+    currentBook: () => null,
+    bookSettings: () => ({}),
+    customDict: () => ({}),
+    customBooks: () => ({}),
+    activeBooks: () => ([]),
+    learnSettings: () => ({ groupSize: 10, spellingMode: 'strict', accentBar: true, clozeStage: false }),
+    offlineBooks: () => ({}),
+    audioSettings: () => ({ accent: 'pt-BR', voiceURI: '', rate: 1 }),
+    listenSettings: () => ({ source: 'book', loop: true, shuffle: false, rate: 1, interval: 2 }),
+    collections: () => ({}),
+    sentences: () => ({}),
+    notes: () => ({}),
+    dictOverrides: () => ({})
+};
+
+// 星标单词所在的默认单词本
+const STARRED_COLLECTION = 'starred';
+
+// 只属于本机的数据块（如离线缓存记录），不进入备份，导入时也保留本机的值
+const DEVICE_LOCAL_BLOCKS = ['offlineBooks'];
+
+// 旧版直接写在 localStorage 里的键
+const LEGACY_STORAGE_KEYS = {
+    progress: 'splendid_global_progress',
+    stats: 'splendid_user_stats',
+    currentBook: 'splendid_current_book',
+    bookSettings: 'splendid_book_settings'
+};
+
+// 导入备份时的「合并」策略：未登记的数据块默认以本地为准，只补充本地没有的条目
+const STORAGE_MERGERS = {
+    // 同一个单词保留复习日期更晚的那份进度
+    progress: function(local, incoming) {
+        let merged = { ...local };
+        Object.keys(incoming).forEach(id => {
+            const a = local[id], b = incoming[id];
+            if (!a || (b.nextReviewDate || 0) > (a.nextReviewDate || 0)) merged[id] = b;
+        });
+        return merged;
+    },
+    stats: function(local, incoming) {
+        let timeByDate = { ...incoming.timeByDate };
+        Object.keys(local.timeByDate || {}).forEach(d => { timeByDate[d] = Math.max(timeByDate[d] || 0, local.timeByDate[d]); });
+        const sum = Object.values(timeByDate).reduce((acc, t) => acc + t, 0);
+        return {
+            ...incoming, ...local,
+            dates: Array.from(new Set([...(local.dates || []), ...(incoming.dates || [])])).sort(),
+            timeByDate,
+            totalTime: Math.max(local.totalTime || 0, incoming.totalTime || 0, sum)
+        };
+    },
+    currentBook: function(local, incoming) {
+        return local || incoming;
+    },
+    // 同名单词本合并收录的单词
+    collections: function(local, incoming) {
+        let merged = { ...incoming, ...local };
+        Object.keys(incoming).forEach(id => {
+            if (!local[id]) return;
+            merged[id] = { ...local[id], wordIds: Array.from(new Set([...local[id].wordIds, ...incoming[id].wordIds])) };
+        });
+        return merged;
+    },
+    // 句库的排期与单词进度一样，保留复习日期更晚的那份
+    sentences: function(local, incoming) {
+        return STORAGE_MERGERS.progress(local, incoming);
+    },
+    // 同一单词的笔记保留最后修改的那份
+    notes: function(local, incoming) {
+        let merged = { ...local };
+        Object.keys(incoming).forEach(id => {
+            if (!local[id] || (incoming[id].updatedAt || 0) > (local[id].updatedAt || 0)) merged[id] = incoming[id];
+        });
+        return merged;
+    },
+    dictOverrides: function(local, incoming) {
+        return STORAGE_MERGERS.notes(local, incoming);
+    }
+};
+
+function mergeStorageBlock(key, local, incoming) {
+    if (incoming === undefined || incoming === null) return local;
+    if (STORAGE_MERGERS[key]) return STORAGE_MERGERS[key](local, incoming);
+    if (Array.isArray(local)) return [...local, ...incoming.filter(item => !local.some(l => JSON.stringify(l) === JSON.stringify(item)))];
+    if (local && typeof local === 'object') return { ...incoming, ...local };
+    return local !== null && local !== undefined ? local : incoming;
+}
+
+function safeParseJSON(raw, fallback) {
+    if (raw === null || raw === undefined) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return fallback; // 损坏的数据块由调用方决定如何处理（迁移时另存原文，validate 时重置并提示）
+    }
+}
+
+// 按版本号顺序执行的迁移管线，每一步只负责把数据从 version-1 升到 version
+// deviceOnly 的迁移读取的是本机状态，只在升级本机数据时执行，不作用于导入的备份
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        name: '导入旧版 localStorage 数据',
+        deviceOnly: true,
+        migrate: function(data) {
+            Object.keys(LEGACY_STORAGE_KEYS).forEach(key => {
+                const raw = localStorage.getItem(LEGACY_STORAGE_KEYS[key]);
+                if (raw === null) return;
+                const value = safeParseJSON(raw, undefined);
+                if (value !== undefined) data[key] = value;
+                else {
+                    // 保留损坏的原文以便人工恢复
+                    try { localStorage.setItem(`splendid_corrupt_${key}`, raw); } catch (ignore) {}
+                }
+            });
+        }
+    },
+    {
+        version: 2,
+        name: '艾宾浩斯进度迁移为调度器状态',
+        migrate: function(data) {
+            Object.values(data.progress || {}).forEach(entry => Scheduler.migrateLegacyEntry(entry));
+        }
+    },
+    {
+        version: 3,
+        name: '单本当前词书转为在学词书列表',
+        migrate: function(data) {
+            if (!Array.isArray(data.activeBooks)) data.activeBooks = [];
+            if (data.currentBook && data.activeBooks.length === 0) data.activeBooks = [data.currentBook.fileName];
+        }
+    }
+];
+
+const IndexedDBBackend = {
+    name: 'indexeddb',
+    db: null,
+    open: function() {
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) { reject(new Error('IndexedDB 不可用')); return; }
+            const request = indexedDB.open(STORAGE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORAGE_OBJECT_STORE)) {
+                    request.result.createObjectStore(STORAGE_OBJECT_STORE);
+                }
+            };
+            request.onsuccess = () => { this.db = request.result; resolve(); };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB 被其他页面占用'));
+        });
+    },
+    readAll: function() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORAGE_OBJECT_STORE, 'readonly');
+            const store = tx.objectStore(STORAGE_OBJECT_STORE);
+            const result = {};
+            const cursorReq = store.openCursor();
+            cursorReq.onsuccess = () => {
+                const cursor = cursorReq.result;
+                if (cursor) { result[cursor.key] = cursor.value; cursor.continue(); }
+                else resolve(result);
+            };
+            cursorReq.onerror = () => reject(cursorReq.error);
+        });
+    },
+    // 一个事务内写完所有条目，要么全部成功要么全部回滚
+    writeBatch: function(entries) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORAGE_OBJECT_STORE, 'readwrite');
+            const store = tx.objectStore(STORAGE_OBJECT_STORE);
+            Object.keys(entries).forEach(key => store.put(entries[key], key));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('事务已中止'));
+        });
+    }
+};
+
+const LocalStorageBackend = {
+    name: 'localstorage',
+    open: function() { return Promise.resolve(); },
+    readAll: function() {
+        const result = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const lsKey = localStorage.key(i);
+            if (!lsKey.startsWith(STORAGE_LS_PREFIX)) continue;
+            const key = lsKey.substring(STORAGE_LS_PREFIX.length);
+            const value = safeParseJSON(localStorage.getItem(lsKey), undefined);
+            if (value !== undefined) result[key] = value;
+        }
+        return Promise.resolve(result);
+    },
+    // 数据已搬进 IndexedDB 后清掉回退副本，免得以后再次回退时读到旧数据
+    clear: function() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            if (localStorage.key(i).startsWith(STORAGE_LS_PREFIX)) keys.push(localStorage.key(i));
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+    },
+    writeBatch: function(entries) {
+        // localStorage 没有事务：先全部序列化，再逐个写入，失败时恢复已写入的旧值
+        const serialized = {};
+        Object.keys(entries).forEach(key => { serialized[key] = JSON.stringify(entries[key]); });
+        const backup = {};
+        try {
+            Object.keys(serialized).forEach(key => {
+                backup[key] = localStorage.getItem(STORAGE_LS_PREFIX + key);
+                localStorage.setItem(STORAGE_LS_PREFIX + key, serialized[key]);
+            });
+            return Promise.resolve();
+        } catch (e) {
+            Object.keys(backup).forEach(key => {
+                try {
+                    if (backup[key] === null) localStorage.removeItem(STORAGE_LS_PREFIX + key);
+                    else localStorage.setItem(STORAGE_LS_PREFIX + key, backup[key]);
+                } catch (ignore) {}
+            });
+            return Promise.reject(e);
+        }
+    }
+};
+
 const StorageManager = {
+    _data: Object.fromEntries(Object.keys(STORAGE_DEFAULTS).map(key => [key, STORAGE_DEFAULTS[key]()])),
+    _dirty: new Set(),
+    _flushTimer: null,
+    _backend: null,
+
+    // 启动时调用一次：选择存储后端、载入全部数据并执行迁移
+    init: async function() {
+        let stored = {};
+        let fromFallback = false;
+        try {
+            await IndexedDBBackend.open();
+            this._backend = IndexedDBBackend;
+            stored = await IndexedDBBackend.readAll();
+            // 以前回退到 localStorage 保存过数据、如今 IndexedDB 可用：IndexedDB 还是空的，先把回退副本搬过来
+            if (Object.keys(stored).length === 0) {
+                const fallback = await LocalStorageBackend.readAll();
+                if (Object.keys(fallback).length > 0) {
+                    stored = fallback;
+                    fromFallback = true;
+                }
+            }
+        } catch (e) {
+            // 隐私模式等环境没有 IndexedDB，静默改用 localStorage，对使用没有影响
+            this._backend = LocalStorageBackend;
+            stored = await LocalStorageBackend.readAll();
+        }
+
+        const fromVersion = stored.schemaVersion || 0;
+        Object.keys(STORAGE_DEFAULTS).forEach(key => {
+            if (stored[key] !== undefined) this._data[key] = stored[key];
+        });
+
+        if (fromFallback) {
+            Object.keys(STORAGE_DEFAULTS).forEach(key => this._dirty.add(key));
+            if (fromVersion < STORAGE_SCHEMA_VERSION) this.runMigrations(this._data, fromVersion);
+            if (await this.flush()) LocalStorageBackend.clear();
+        } else if (fromVersion < STORAGE_SCHEMA_VERSION) {
+            this.runMigrations(this._data, fromVersion);
+            Object.keys(STORAGE_DEFAULTS).forEach(key => this._dirty.add(key));
+            const saved = await this.flush();
+            // 旧键只有在新存储确认写入成功后才清理
+            if (saved && fromVersion === 0) Object.values(LEGACY_STORAGE_KEYS).forEach(k => localStorage.removeItem(k));
+        }
+        this.validate();
+    },
+    // 把任意一份数据从 fromVersion 升级到当前版本（导入备份时同样复用，isSnapshot 为 true 时跳过 deviceOnly 的迁移）
+    runMigrations: function(data, fromVersion, isSnapshot = false) {
+        STORAGE_MIGRATIONS
+            .filter(m => m.version > fromVersion && m.version <= STORAGE_SCHEMA_VERSION)
+            .filter(m => !(isSnapshot && m.deviceOnly))
+            .sort((a, b) => a.version - b.version)
+            .forEach(m => m.migrate(data));
+        return data;
+    },
+    // 类型不对的数据块（被截断、被手动改坏）直接回退为默认值
+    validate: function() {
+        let resetKeys = [];
+        Object.keys(STORAGE_DEFAULTS).forEach(key => {
+            const fallback = STORAGE_DEFAULTS[key]();
+            const value = this._data[key];
+            const isValid = fallback === null ? (value === null || typeof value === 'object') : (value && typeof value === 'object' && Array.isArray(value) === Array.isArray(fallback));
+            if (!isValid) {
+                resetKeys.push(key);
+                this._data[key] = fallback;
+                this._dirty.add(key);
+            }
+        });
+        if (resetKeys.length > 0 && window.showToast) window.showToast(`部分本地数据已损坏，已重置：${resetKeys.join('、')}`);
+        if (!Array.isArray(this._data.stats.dates)) this._data.stats.dates = [];
+        if (!this._data.stats.timeByDate) this._data.stats.timeByDate = {};
+        if (this._dirty.size > 0) this._scheduleFlush();
+    },
+    get: function(key) {
+        return this._data[key];
+    },
+    // 导出全部数据块为一份可移植的备份
+    exportSnapshot: function() {
+        let data = JSON.parse(JSON.stringify(this._data));
+        DEVICE_LOCAL_BLOCKS.forEach(key => { delete data[key]; });
+        return {
+            app: 'splendid',
+            schemaVersion: STORAGE_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    },
+    // 校验并升级备份文件，返回可直接导入的数据；不合法时抛出带说明的错误
+    parseSnapshot: function(snapshot) {
+        if (!snapshot || snapshot.app !== 'splendid' || !snapshot.data || typeof snapshot.data !== 'object') {
+            throw new Error('这不是有效的学习备份文件');
+        }
+        const version = Number(snapshot.schemaVersion) || 0;
+        if (version > STORAGE_SCHEMA_VERSION) throw new Error('该备份来自更新版本的应用，请先升级');
+
+        let data = {};
+        Object.keys(STORAGE_DEFAULTS).forEach(key => {
+            const fallback = STORAGE_DEFAULTS[key]();
+            const value = snapshot.data[key];
+            if (value === undefined || DEVICE_LOCAL_BLOCKS.includes(key)) return;
+            const typeOk = fallback === null ? typeof value === 'object' : (value && typeof value === 'object' && Array.isArray(value) === Array.isArray(fallback));
+            if (!typeOk) throw new Error(`备份中的 ${key} 数据已损坏`);
+            data[key] = value;
+        });
+        return this.runMigrations(data, version, true);
+    },
+    // mode: 'merge' 逐块合并；'replace' 用备份整体覆盖本地
+    importSnapshot: async function(data, mode) {
+        Object.keys(STORAGE_DEFAULTS).forEach(key => {
+            if (DEVICE_LOCAL_BLOCKS.includes(key)) return;
+            const incoming = data[key];
+            if (mode === 'replace') this._data[key] = incoming !== undefined ? incoming : STORAGE_DEFAULTS[key]();
+            else this._data[key] = mergeStorageBlock(key, this._data[key], incoming);
+            this._dirty.add(key);
+        });
+        this.validate();
+        return this.flush();
+    },
+    set: function(key, value) {
+        this._data[key] = value;
+        this._dirty.add(key);
+        this._scheduleFlush();
+    },
+    _scheduleFlush: function() {
+        if (this._flushTimer) return;
+        this._flushTimer = setTimeout(() => { this.flush(); }, STORAGE_FLUSH_DELAY);
+    },
+    // 把所有脏数据块合并为一次批量写入，返回是否写入成功
+    flush: async function() {
+        clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+        if (!this._backend) return false;
+        if (this._dirty.size === 0) return true;
+
+        const entries = { schemaVersion: STORAGE_SCHEMA_VERSION };
+        this._dirty.forEach(key => { entries[key] = this._data[key]; });
+        this._dirty.clear();
+
+        try {
+            await this._backend.writeBatch(entries);
+            return true;
+        } catch (e) {
+            Object.keys(entries).forEach(key => { if (key !== 'schemaVersion') this._dirty.add(key); });
+            if (this._backend === IndexedDBBackend) {
+                if (window.showToast) window.showToast('浏览器数据库写入失败，已改用本地存储保存进度');
+                this._backend = LocalStorageBackend;
+                Object.keys(STORAGE_DEFAULTS).forEach(key => this._dirty.add(key));
+                this._scheduleFlush();
+            } else if (window.showToast) {
+                window.showToast(e && e.name === 'QuotaExceededError' ? '存储空间已满，进度暂未保存' : '进度保存失败');
+            }
+            return false;
+        }
+    },
+
     getProgress: function() {
-        const data = localStorage.getItem('splendid_global_progress');
-        return data ? JSON.parse(data) : {};
+        return this._data.progress;
     },
     saveProgress: function(progress) {
-        localStorage.setItem('splendid_global_progress', JSON.stringify(progress));
+        this.set('progress', progress);
     },
     // 新增：获取时长和签到数据
     getStats: function() {
-        const data = localStorage.getItem('splendid_user_stats');
-        return data ? JSON.parse(data) : { dates: [], timeByDate: {}, totalTime: 0 };
+        return this._data.stats;
     },
     // 新增：保存时长和签到数据
     saveStats: function(stats) {
-        localStorage.setItem('splendid_user_stats', JSON.stringify(stats));
+        this.set('stats', stats);
     },
     // 新增：增加有效学习时长，并自动点亮签到日历
     addActiveTime: function(seconds) {
@@ -75,63 +597,293 @@ const StorageManager = {
         if (!stats.dates.includes(dateKey)) stats.dates.push(dateKey);
         this.saveStats(stats);
     },
-    saveWordError: function(wordId) {
+    // errorType（如 accent / spelling / hint）同时累计到 errorTypes，供之后分析薄弱点
+    saveWordError: function(wordId, errorType) {
         let progress = this.getProgress();
         if (!progress[wordId]) progress[wordId] = { errorCount: 0 };
         progress[wordId].errorCount = (progress[wordId].errorCount || 0) + 1;
         this.saveProgress(progress);
+        if (errorType) this.saveErrorType(wordId, errorType);
+    },
+    // 只记错误类型、不计入错误次数（如宽松模式下放行的重音失误）
+    saveErrorType: function(wordId, errorType) {
+        let progress = this.getProgress();
+        if (!progress[wordId]) progress[wordId] = { errorCount: 0 };
+        let errorTypes = progress[wordId].errorTypes || {};
+        errorTypes[errorType] = (errorTypes[errorType] || 0) + 1;
+        progress[wordId].errorTypes = errorTypes;
+        this.saveProgress(progress);
     },
     getWordError: function(wordId) {
         let progress = this.getProgress();
         return progress[wordId] ? progress[wordId].errorCount : 0;
     },
-    markAsLearned: function(wordId) {
+    // 首次学会：初始化调度状态；已在复习流程中的单词不重置其排期
+    markAsLearned: function(wordId, grade = REVIEW_GRADES.GOOD, bookId) {
         let progress = this.getProgress();
         if (!progress[wordId]) progress[wordId] = { errorCount: 0 };
+        if (progress[wordId].isLearned && progress[wordId].srs) return;
+
+        const srs = Scheduler.review(null, grade, this.getSchedulerName(bookId));
         progress[wordId].isLearned = true;
-        progress[wordId].ebStage = 0; 
+        progress[wordId].learnedDate = getTodayDateKey();
+        progress[wordId].srs = { ...srs, interval: 1 }; // 首轮复习固定在次日
         progress[wordId].nextReviewDate = getNextReviewTime(1); 
+        delete progress[wordId].currentStage;
         this.saveProgress(progress);
     },
-    updateReviewResult: function(wordId, isSuccess) {
+    // 测验选错的干扰项：wordId → { 干扰项 ID: 次数 }，并记录最近一次命中的干扰规则
+    saveConfusion: function(wordId, distractorId, reasons) {
         let progress = this.getProgress();
-        if (!progress[wordId]) return;
-        
-        if (isSuccess) {
-            let nextStage = (progress[wordId].ebStage || 0) + 1;
-            if (nextStage >= EBBINGHAUS_INTERVALS.length) nextStage = EBBINGHAUS_INTERVALS.length - 1;
-            progress[wordId].ebStage = nextStage;
-            const daysToWait = EBBINGHAUS_INTERVALS[nextStage];
-            progress[wordId].nextReviewDate = getNextReviewTime(daysToWait);
+        if (!progress[wordId]) progress[wordId] = { errorCount: 0 };
+        let confusions = progress[wordId].confusions || {};
+        confusions[distractorId] = (confusions[distractorId] || 0) + 1;
+        progress[wordId].confusions = confusions;
+        progress[wordId].lastConfusion = { id: distractorId, reasons: reasons || [], date: getTodayDateKey() };
+        this.saveProgress(progress);
+    },
+    getConfusions: function(wordId) {
+        const entry = this.getProgress()[wordId];
+        return (entry && entry.confusions) || {};
+    },
+    // 拼写提示：tier 为 shape / letter / audio，累计扣分并记下最近一次用到的最高层级
+    saveHintUsage: function(wordId, tier, penalty) {
+        let progress = this.getProgress();
+        if (!progress[wordId]) progress[wordId] = { errorCount: 0 };
+        const hints = progress[wordId].hints || { total: 0 };
+        progress[wordId].hints = { total: hints.total + penalty, lastTier: tier, lastDate: getTodayDateKey() };
+        this.saveProgress(progress);
+    },
+    // 靠提示才拼出：今天刚学会的词按该评分重新初始化，其余单词改写本次复习的评分（不算第二次复习）
+    applyHintGrade: function(wordId, grade, bookId) {
+        let progress = this.getProgress();
+        const entry = progress[wordId];
+        if (!entry || !entry.isLearned) return;
+        if (entry.learnedDate === getTodayDateKey() && (!entry.srs || entry.srs.reps <= 1)) {
+            const srs = Scheduler.review(null, grade, this.getSchedulerName(bookId));
+            entry.srs = { ...srs, interval: 1 };
+            entry.nextReviewDate = getNextReviewTime(1);
+            this.saveProgress(progress);
         } else {
-            progress[wordId].ebStage = 0;
-            progress[wordId].nextReviewDate = getNextReviewTime(1);
+            this.reviseReviewResult(wordId, grade, bookId);
         }
+    },
+    // 复习评分：grade 取值见 REVIEW_GRADES；记下评分前的状态，供同一次复习里追加的评分改写
+    updateReviewResult: function(wordId, grade, bookId) {
+        let progress = this.getProgress();
+        if (!progress[wordId]) return;
+        
+        const entry = progress[wordId];
+        entry.todayReview = { date: getTodayDateKey(), grade, srs: entry.srs || null, nextReviewDate: entry.nextReviewDate };
+        const srs = Scheduler.review(entry.srs, grade, this.getSchedulerName(bookId));
+        entry.srs = srs;
+        entry.nextReviewDate = getNextReviewTime(srs.interval);
+        this.saveProgress(progress);
+    },
+    // 改写今天这次复习的评分：从复习前的状态重新计算，取两次评分中较低的一档；今天还没复习过则按一次复习计分
+    reviseReviewResult: function(wordId, grade, bookId) {
+        let progress = this.getProgress();
+        const entry = progress[wordId];
+        if (!entry) return;
+        const last = entry.todayReview;
+        if (!last || last.date !== getTodayDateKey()) { this.updateReviewResult(wordId, grade, bookId); return; }
+
+        const finalGrade = Math.min(grade, last.grade);
+        const srs = Scheduler.review(last.srs, finalGrade, this.getSchedulerName(bookId));
+        entry.todayReview = { ...last, grade: finalGrade };
+        entry.srs = srs;
+        entry.nextReviewDate = getNextReviewTime(srs.interval);
         this.saveProgress(progress);
     },
     getCurrentBook: function() {
-        const data = localStorage.getItem('splendid_current_book');
-        return data ? JSON.parse(data) : null;
+        return this._data.currentBook;
     },
     setCurrentBook: function(bookData) {
-        localStorage.setItem('splendid_current_book', JSON.stringify(bookData));
+        this.set('currentBook', bookData);
+    },
+    // 每本书独立的设置：复习算法、每日学习计划（每日新词数、出词顺序）与卡片方向
+    getBookSettings: function(fileName) {
+        return { scheduler: DEFAULT_SCHEDULER, dailyNew: 20, order: 'sequential', direction: 'pt2zh', unitSize: null, ...(this._data.bookSettings[fileName] || {}) };
+    },
+    saveBookSettings: function(fileName, settings) {
+        let all = this._data.bookSettings;
+        all[fileName] = { ...(all[fileName] || {}), ...settings };
+        this.set('bookSettings', all);
+    },
+    // 词书选用的复习算法，未指定词书时取当前词书
+    getSchedulerName: function(bookId) {
+        const book = this.getCurrentBook();
+        const id = bookId || (book && book.fileName);
+        return id ? this.getBookSettings(id).scheduler : DEFAULT_SCHEDULER;
+    },
+    getActiveBooks: function() {
+        return this._data.activeBooks;
+    },
+    addActiveBook: function(bookId) {
+        if (this._data.activeBooks.includes(bookId)) return;
+        this.set('activeBooks', [...this._data.activeBooks, bookId]);
+    },
+    removeActiveBook: function(bookId) {
+        this.set('activeBooks', this._data.activeBooks.filter(id => id !== bookId));
+    },
+    // 全局学习设置：每组学习的单词数（学完一组进入拼写与小结）、拼写批改模式、是否显示重音键盘、第二关是否改为例句填空
+    getLearnSettings: function() {
+        return { groupSize: 10, spellingMode: 'strict', accentBar: true, clozeStage: false, ...this._data.learnSettings };
+    },
+    saveLearnSettings: function(settings) {
+        this.set('learnSettings', { ...this._data.learnSettings, ...settings });
+    },
+    // 发音设置：口音（pt-BR / pt-PT）、TTS 声音与语速
+    getAudioSettings: function() {
+        return { accent: 'pt-BR', voiceURI: '', rate: 1, ...this._data.audioSettings };
+    },
+    saveAudioSettings: function(settings) {
+        this.set('audioSettings', { ...this._data.audioSettings, ...settings });
+    },
+    // 随身听：播放范围、循环、随机、语速与间隔（秒）
+    getListenSettings: function() {
+        return { source: 'book', loop: true, shuffle: false, rate: 1, interval: 2, ...this._data.listenSettings };
+    },
+    saveListenSettings: function(settings) {
+        this.set('listenSettings', { ...this._data.listenSettings, ...settings });
+    },
+    // 单词本：{ id: { id, title, wordIds, createdAt } }；「我的收藏」始终存在，星标即收录进它
+    getCollections: function() {
+        if (!this._data.collections[STARRED_COLLECTION]) {
+            this._data.collections[STARRED_COLLECTION] = { id: STARRED_COLLECTION, title: '我的收藏', wordIds: [], createdAt: 0 };
+        }
+        return this._data.collections;
+    },
+    createCollection: function(title) {
+        const id = `nb_${Date.now().toString(36)}`;
+        let collections = this.getCollections();
+        collections[id] = { id, title, wordIds: [], createdAt: Date.now() };
+        this.set('collections', collections);
+        return id;
+    },
+    deleteCollection: function(collectionId) {
+        if (collectionId === STARRED_COLLECTION) return;
+        let collections = this.getCollections();
+        delete collections[collectionId];
+        this.set('collections', collections);
+    },
+    isInCollection: function(collectionId, wordId) {
+        const collection = this.getCollections()[collectionId];
+        return !!collection && collection.wordIds.includes(wordId);
+    },
+    setInCollection: function(collectionId, wordId, included) {
+        let collections = this.getCollections();
+        const collection = collections[collectionId];
+        if (!collection) return;
+        collection.wordIds = collection.wordIds.filter(id => id !== wordId);
+        if (included) collection.wordIds.push(wordId);
+        this.set('collections', collections);
+    },
+    // 句库：句子 ID → { id, pt, zh, source, wordId, savedAt, srs, nextReviewDate }
+    getSentences: function() {
+        return this._data.sentences;
+    },
+    saveSentence: function(sentence) {
+        let sentences = this._data.sentences;
+        sentences[sentence.id] = sentence;
+        this.set('sentences', sentences);
+    },
+    removeSentence: function(sentenceId) {
+        let sentences = this._data.sentences;
+        delete sentences[sentenceId];
+        this.set('sentences', sentences);
+    },
+    // 句子的复习评分：首次复习用当前词书的算法，之后沿用 srs 里记下的算法
+    reviewSentence: function(sentenceId, grade) {
+        let sentences = this._data.sentences;
+        const sentence = sentences[sentenceId];
+        if (!sentence) return;
+        const algo = (sentence.srs && sentence.srs.algo) || this.getSchedulerName();
+        const srs = Scheduler.review(sentence.srs, grade, algo);
+        sentences[sentenceId] = { ...sentence, srs, nextReviewDate: getNextReviewTime(srs.interval) };
+        this.set('sentences', sentences);
+    },
+    // 单词笔记：wordId → { text, updatedAt }，清空内容即删除
+    getNotes: function() {
+        return this._data.notes;
+    },
+    getNote: function(wordId) {
+        const note = this._data.notes[wordId];
+        return note ? note.text : '';
+    },
+    saveNote: function(wordId, text) {
+        let notes = this._data.notes;
+        if (text.trim()) notes[wordId] = { text, updatedAt: Date.now() };
+        else delete notes[wordId];
+        this.set('notes', notes);
+    },
+    // 词条修改：wordId → { fields, updatedAt }，fields 只含与原词条不同的字段，为空即还原
+    getDictOverrides: function() {
+        return this._data.dictOverrides;
+    },
+    saveDictOverride: function(wordId, fields) {
+        let overrides = this._data.dictOverrides;
+        if (Object.keys(fields).length > 0) overrides[wordId] = { fields, updatedAt: Date.now() };
+        else delete overrides[wordId];
+        this.set('dictOverrides', overrides);
     }
 };
 
-function recordError(wordObj) {
+// errorType：quiz / recognize / cloze / conjugation / forgot / spelling / accent，按类型累计在进度的 errorTypes 里
+function recordError(wordObj, errorType) {
     if (!wordObj || !wordObj.id) return;
-    StorageManager.saveWordError(wordObj.id);
-    let masterWord = globalVocabularyData.find(w => w.id === wordObj.id);
-    if (masterWord) masterWord.errorCount = StorageManager.getWordError(wordObj.id);
+    StorageManager.saveWordError(wordObj.id, errorType);
+    const errorCount = StorageManager.getWordError(wordObj.id);
+    [globalVocabularyData, ...Object.values(activeBookData)].forEach(words => {
+        words.filter(w => w.id === wordObj.id).forEach(w => { w.errorCount = errorCount; });
+    });
+}
+
+// 卡片方向：pt2zh 看葡语选中文（默认），zh2pt 看中文想葡语
+const CARD_DIRECTIONS = { pt2zh: '葡 → 中', zh2pt: '中 → 葡' };
+
+// 两个方向各自排期：反向卡片的学习与复习进度存在 `${id}#zh2pt` 下，错误次数仍记在单词本身
+function buildProgressKey(wordId, direction) {
+    return direction === 'zh2pt' ? `${wordId}#zh2pt` : wordId;
 }
 
+function getProgressKey(wordObj) {
+    return wordObj.progressKey || wordObj.id;
+}
+
+// 所有在学词书的单词（同一单词、同一方向出现在多本书里时只取一次）
+function getActiveVocabulary() {
+    const seen = new Set();
+    let words = [];
+    StorageManager.getActiveBooks().forEach(bookId => {
+        (activeBookData[bookId] || []).forEach(w => {
+            const key = getProgressKey(w);
+            if (seen.has(key)) return;
+            seen.add(key);
+            words.push(w);
+        });
+    });
+    return words;
+}
+
+// 汇总所有在学词书的 Learn / Review 数量
 window.updateHomeCounts = function() {
-    if (!globalVocabularyData) return;
+    const vocabulary = getActiveVocabulary();
     const progressData = StorageManager.getProgress();
     const now = Date.now();
     
-    const toLearn = globalVocabularyData.filter(w => !progressData[w.id]?.isLearned);
-    const toReview = globalVocabularyData.filter(w => progressData[w.id]?.isLearned && progressData[w.id].nextReviewDate <= now);
+    const toLearn = getTodayLearnQueue(progressData); // 今天计划内还没学的新词
+    const toReview = vocabulary.filter(w => progressData[getProgressKey(w)]?.isLearned && progressData[getProgressKey(w)].nextReviewDate <= now);
+    const activeCountEl = document.getElementById('active-books-count');
+    if (activeCountEl) activeCountEl.innerText = StorageManager.getActiveBooks().length;
+    const notebooksCountEl = document.getElementById('notebooks-count');
+    if (notebooksCountEl) notebooksCountEl.innerText = Object.keys(StorageManager.getCollections()).length;
+    const notesCountEl = document.getElementById('notes-count');
+    if (notesCountEl) notesCountEl.innerText = Object.keys(StorageManager.getNotes()).length;
+    const sentencesCountEl = document.getElementById('sentences-count');
+    if (sentencesCountEl) sentencesCountEl.innerText = Object.keys(StorageManager.getSentences()).length;
+    const clozeCountEl = document.getElementById('cloze-due-count');
+    if (clozeCountEl) clozeCountEl.innerText = getClozeReviewPool().due.length;
     
     const learnCountEl = document.getElementById('learn-count');
     if (learnCountEl) learnCountEl.innerText = toLearn.length;
@@ -168,10 +920,16 @@ function startStrictTimeTracker() {
 
 async function initApp() {
     try {
+        await StorageManager.init();
+
         const dictRes = await fetch('./global_dict.json');
         if (!dictRes.ok) throw new Error('找不到总词典');
-        globalDict = await dictRes.json();
+        composeGlobalDict(await dictRes.json()); // 合并用户导入的词条与词条修改
+        buildDictionaryIndexes();
+        await BookRegistry.load();
+        renderLibrary();
 
+        await loadActiveBooks();
         const savedBook = StorageManager.getCurrentBook();
         if (savedBook) {
             await loadVocabularyBook(savedBook.fileName, savedBook.title);
@@ -187,22 +945,94 @@ async function initApp() {
     }
 }
 
+// 词书注册表：内置词书来自 books.json 清单，导入的词书来自本地存储
+const BookRegistry = {
+    manifest: [],
+    _wordIdCache: {},
+    load: async function() {
+        const res = await fetch('./books.json');
+        if (!res.ok) throw new Error('找不到词书清单');
+        this.manifest = await res.json();
+    },
+    // 统一的词书描述：{ id, title, description, coverClass, coverText, categories, custom }
+    // 清单中的词书可以带 units: [{ title, size }]，按顺序把单词分成单元（见 getBookUnits）
+    // 单词本也作为自定义词书出现，可以像普通词书一样加入在学、出新词和复习
+    all: function() {
+        const builtin = this.manifest.map(book => ({ ...book, custom: false }));
+        const custom = Object.values(StorageManager.get('customBooks')).map(book => ({
+            ...book, id: book.fileName, categories: book.categories || ['其他'], custom: true
+        }));
+        const notebooks = Object.values(StorageManager.getCollections()).map(collection => ({
+            id: notebookBookId(collection.id),
+            title: collection.title,
+            description: '我的单词本',
+            coverClass: 'cover-purple',
+            coverText: 'WORD\\nBOOK',
+            categories: ['其他'],
+            custom: true,
+            notebook: collection.id,
+            wordIds: collection.wordIds
+        }));
+        return [...notebooks, ...custom, ...builtin];
+    },
+    get: function(bookId) {
+        return this.all().find(book => book.id === bookId) || null;
+    },
+    // 词书的单词 ID 列表：导入的词书存在本地，内置词书按清单中的 file 读取
+    getWordIds: async function(bookId) {
+        const book = this.get(bookId);
+        if (!book) throw new Error('词书不存在');
+        if (book.custom) return book.wordIds;
+        if (!this._wordIdCache[bookId]) {
+            const response = await fetch(`./${book.file}`);
+            if (!response.ok) throw new Error('词书文件不存在');
+            this._wordIdCache[bookId] = await response.json();
+        }
+        return this._wordIdCache[bookId];
+    },
+    // 选书时写入 currentBook 的精简信息
+    toBookInfo: function(book) {
+        return { fileName: book.id, title: book.title, coverClass: book.coverClass, coverText: book.coverText };
+    }
+};
+
+function notebookBookId(collectionId) {
+    return `notebook_${collectionId}`;
+}
+
+// 按 ID 列表从总词典组装单词，每个单词记住自己所属的词书（决定复习算法、学习计划与卡片方向）
+async function buildBookWords(bookId) {
+    const wordIds = await BookRegistry.getWordIds(bookId);
+    const direction = StorageManager.getBookSettings(bookId).direction;
+    return wordIds.map(id => {
+        const wordData = globalDict[id];
+        if (!wordData) return null;
+        return { ...wordData, id: id, bookId: bookId, direction: direction, progressKey: buildProgressKey(id, direction), errorCount: StorageManager.getWordError(id) };
+    }).filter(item => item !== null);
+}
+
+// 载入全部在学词书；已不存在的词书自动移出列表
+async function loadActiveBooks() {
+    activeBookData = {};
+    for (const bookId of [...StorageManager.getActiveBooks()]) {
+        try {
+            activeBookData[bookId] = await buildBookWords(bookId);
+        } catch (error) {
+            StorageManager.removeActiveBook(bookId);
+        }
+    }
+    updateHomeCounts();
+}
+
 async function loadVocabularyBook(bookFileName, bookTitle) {
     try {
         currentBookName = bookTitle;
-        const response = await fetch(`./${bookFileName}.json`);
-        if (!response.ok) throw new Error('词书文件不存在');
-        const wordIds = await response.json(); 
-        
-        globalVocabularyData = wordIds.map(id => {
-            const wordData = globalDict[id];
-            if (!wordData) return null;
-            return { ...wordData, id: id, errorCount: StorageManager.getWordError(id) };
-        }).filter(item => item !== null);
+        globalVocabularyData = await buildBookWords(bookFileName);
+        if (StorageManager.getActiveBooks().includes(bookFileName)) activeBookData[bookFileName] = globalVocabularyData;
 
         updateHomeCounts(); 
     } catch (error) {
-        alert(`无法加载词书 ${bookFileName}.json，请检查文件是否存在！`);
+        alert(`无法加载词书 ${bookFileName}，请检查 books.json 与词书文件是否存在！`);
     }
 }
 
@@ -213,12 +1043,12 @@ window.updateDashboardBookUI = function(bookInfo) {
 
     if(dashBookCover && dashCoverText && dashBookTitleText) {
         dashBookCover.className = `book-cover ${bookInfo.coverClass}`;
-        dashCoverText.innerHTML = bookInfo.coverText.replace('\\n', '<br>');
+        dashCoverText.innerHTML = escapeHTML(bookInfo.coverText).replace('\\n', '<br>');
         dashBookTitleText.innerText = bookInfo.title;
     }
 
     document.querySelectorAll('.tag-learning').forEach(tag => tag.remove());
-    const activeBookItem = document.querySelector(`.lib-book-item[data-file="${bookInfo.fileName}"]`);
+    const activeBookItem = findLibraryBookItem(bookInfo.fileName);
     if(activeBookItem) {
         activeBookItem.querySelector('.lib-book-meta').innerHTML += '<span class="tag-learning">正在学习</span>';
     }
@@ -320,6 +1150,43 @@ window.showToast = function(message) {
     toast.hideTimer = setTimeout(() => { toast.style.opacity = '0'; }, 2000);
 };
 
+// 通用底部弹层：点击遮罩关闭
+window.openSheet = function(id) {
+    const sheet = document.getElementById(id);
+    if (sheet) sheet.classList.remove('hidden');
+};
+window.closeSheet = function(id) {
+    const sheet = document.getElementById(id);
+    if (sheet) sheet.classList.add('hidden');
+};
+document.querySelectorAll('.sheet-modal .sheet-overlay').forEach(overlay => {
+    overlay.addEventListener('click', () => overlay.parentElement.classList.add('hidden'));
+});
+
+// 用户输入的文本插入 innerHTML 前先转义
+window.escapeHTML = function(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+};
+
+// 把对象保存为本地 JSON 文件
+window.downloadJSONFile = function(fileName, obj) {
+    downloadTextFile(fileName, JSON.stringify(obj, null, 2), 'application/json');
+};
+
+window.downloadTextFile = function(fileName, text, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
 window.applyBackgroundContext = function(context) {
     els.app.className = ''; 
     if (context === 'reset') {
@@ -329,31 +1196,142 @@ window.applyBackgroundContext = function(context) {
     }
 }
 
-function playAudio(text) {
-    if ('speechSynthesis' in window) {
+// ================= 发音管理：优先播放词条音频文件，缺失时退回 TTS =================
+// 词条可选 audio 字段：{ word: 'audio/pt_0001.mp3', example: 'audio/pt_0001_ex.mp3' }
+// 每一项也可以按口音区分：{ 'pt-BR': '...', 'pt-PT': '...' }
+const AUDIO_ACCENTS = { 'pt-BR': '巴西葡语', 'pt-PT': '欧洲葡语' };
+
+// 例句去掉高亮标记后才能朗读
+function stripSentenceMarkup(htmlText) {
+    return String(htmlText || '').replace(/<[^>]+>/g, '').replace(/___\d+___/g, '');
+}
+
+const AudioManager = {
+    _cache: new Map(), // url → Audio，按最近使用顺序保留
+    _maxCached: 30,
+    _current: null,
+    _pendingResolve: null,
+    // 当前口音下的音频路径，没有对应口音时取任意一个
+    resolveUrl: function(wordObj, kind) {
+        const ref = wordObj && wordObj.audio && wordObj.audio[kind];
+        if (!ref) return null;
+        if (typeof ref === 'string') return ref;
+        return ref[StorageManager.getAudioSettings().accent] || Object.values(ref)[0] || null;
+    },
+    // 词条引用的全部音频（离线下载用）
+    listUrls: function(wordObj) {
+        if (!wordObj || !wordObj.audio) return [];
+        return Object.values(wordObj.audio).flatMap(ref => typeof ref === 'string' ? [ref] : Object.values(ref));
+    },
+    _getAudio: function(url) {
+        let audio = this._cache.get(url);
+        if (audio) {
+            this._cache.delete(url);
+        } else {
+            audio = new Audio();
+            audio.preload = 'auto';
+            audio.src = url;
+        }
+        this._cache.set(url, audio);
+        if (this._cache.size > this._maxCached) this._cache.delete(this._cache.keys().next().value);
+        return audio;
+    },
+    preload: function(wordObj) {
+        const url = this.resolveUrl(wordObj, 'word');
+        if (url) this._getAudio(url);
+    },
+    // 返回在播放结束（或被 stop 打断）时完成的 Promise；options.rate 可覆盖设置中的语速
+    play: function(wordObj, kind = 'word', options = {}) {
+        this.stop();
+        const text = kind === 'example' ? stripSentenceMarkup(wordObj.example && wordObj.example.pt) : wordObj.pt;
+        const url = this.resolveUrl(wordObj, kind);
+        if (!url) return this.speak(text, options);
+
+        const audio = this._getAudio(url);
+        if (audio.error) return this.speak(text, options); // 之前已加载失败的文件不再重试
+        audio.currentTime = 0;
+        audio.playbackRate = options.rate || StorageManager.getAudioSettings().rate;
+        this._current = audio;
+        return new Promise(resolve => {
+            this._pendingResolve = resolve;
+            audio.onended = () => this._finish(resolve);
+            audio.play().catch(() => {
+                if (this._current !== audio) return;
+                this._current = null;
+                this.speak(text, options).then(resolve);
+            });
+        });
+    },
+    _finish: function(resolve) {
+        if (this._pendingResolve === resolve) this._pendingResolve = null;
+        resolve();
+    },
+    stop: function() {
+        if (this._current) { this._current.pause(); this._current = null; }
+        if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+        if (this._pendingResolve) this._finish(this._pendingResolve);
+    },
+    getVoices: function() {
+        if (!('speechSynthesis' in window)) return [];
+        return window.speechSynthesis.getVoices().filter(v => /^pt/i.test(v.lang));
+    },
+    // 用户选定的声音优先，其次是与口音一致的第一个声音
+    pickVoice: function(settings) {
+        const voices = this.getVoices();
+        return voices.find(v => v.voiceURI === settings.voiceURI)
+            || voices.find(v => v.lang.replace('_', '-') === settings.accent)
+            || null;
+    },
+    // options.lang 指定非葡语（如中文释义）时不套用葡语声音
+    speak: function(text, options = {}) {
+        if (!('speechSynthesis' in window) || !text) return Promise.resolve();
+        const settings = StorageManager.getAudioSettings();
         window.speechSynthesis.cancel();
         const utterance = new SpeechSynthesisUtterance(text);
-        utterance.lang = 'pt-BR'; window.speechSynthesis.speak(utterance);
+        utterance.lang = options.lang || settings.accent;
+        utterance.rate = options.rate || settings.rate;
+        if (!options.lang) {
+            const voice = this.pickVoice(settings);
+            if (voice) utterance.voice = voice;
+        }
+        return new Promise(resolve => {
+            this._pendingResolve = resolve;
+            utterance.onend = utterance.onerror = () => this._finish(resolve);
+            window.speechSynthesis.speak(utterance);
+        });
     }
+};
+
+// target 为单词对象时走音频文件，为纯文本时直接朗读
+function playAudio(target, kind = 'word') {
+    if (!target) return;
+    if (typeof target === 'string') AudioManager.speak(target);
+    else AudioManager.play(target, kind);
 }
-document.getElementById('phonetic-container').addEventListener('click', () => playAudio(currentWordObj.pt));
+document.getElementById('phonetic-container').addEventListener('click', () => playAudio(currentWordObj));
+document.getElementById('btn-play-example').addEventListener('click', (e) => {
+    e.stopPropagation();
+    playAudio(currentWordObj, 'example');
+});
 
 window.saveCurrentSessionProgress = function() {
-    if (isReviewMode || !globalVocabularyData || globalVocabularyData.length === 0) return;
+    if (isReviewMode || currentSessionWords.length === 0) return;
     
     let progress = StorageManager.getProgress();
     let hasChanges = false;
     
     // 只保存还没学满的单词的绿点进度
     if (currentWordObj && currentWordObj.id && currentWordObj.stage < 3) {
-        if (!progress[currentWordObj.id]) progress[currentWordObj.id] = { errorCount: 0 };
-        progress[currentWordObj.id].currentStage = currentWordObj.stage;
+        const key = getProgressKey(currentWordObj);
+        if (!progress[key]) progress[key] = { errorCount: 0 };
+        progress[key].currentStage = currentWordObj.stage;
         hasChanges = true;
     }
     
     learningQueue.forEach(w => {
-        if (!progress[w.id]) progress[w.id] = { errorCount: 0 };
-        progress[w.id].currentStage = w.stage;
+        const key = getProgressKey(w);
+        if (!progress[key]) progress[key] = { errorCount: 0 };
+        progress[key].currentStage = w.stage;
         hasChanges = true;
     });
     
@@ -363,33 +1341,76 @@ window.saveCurrentSessionProgress = function() {
 document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'hidden') {
         saveCurrentSessionProgress();
+        StorageManager.flush();
     }
 });
+window.addEventListener('pagehide', () => { StorageManager.flush(); });
+
+// 每本书今天还能学的新词：学到一半的词优先，其余按计划顺序出词，总数不超过当日剩余配额
+function buildBookLearnQueue(bookId, progressData) {
+    const settings = StorageManager.getBookSettings(bookId);
+    const words = activeBookData[bookId] || [];
+    const todayKey = getTodayDateKey();
+    const learnedToday = words.filter(w => progressData[getProgressKey(w)]?.learnedDate === todayKey).length;
+    const quota = Math.max(0, settings.dailyNew - learnedToday);
+
+    let unlearned = words.filter(w => !progressData[getProgressKey(w)]?.isLearned);
+    if (settings.order === 'random') shuffleArray(unlearned);
+    else if (settings.order === 'errors') unlearned.sort((a, b) => (b.errorCount || 0) - (a.errorCount || 0));
+
+    const started = unlearned.filter(w => progressData[getProgressKey(w)]?.currentStage);
+    const fresh = unlearned.filter(w => !progressData[getProgressKey(w)]?.currentStage);
+    return [...started, ...fresh].slice(0, quota);
+}
+
+// 所有在学词书今天剩余的新词（按词书顺序拼接并去重）
+function getTodayLearnQueue(progressData) {
+    const seen = new Set();
+    let queue = [];
+    StorageManager.getActiveBooks().forEach(bookId => {
+        buildBookLearnQueue(bookId, progressData).forEach(w => {
+            const key = getProgressKey(w);
+            if (seen.has(key)) return;
+            seen.add(key);
+            queue.push(w);
+        });
+    });
+    return queue;
+}
 
 document.getElementById('btn-learn').addEventListener('click', () => {
-    if (globalVocabularyData.length === 0) {
+    const activeBooks = StorageManager.getActiveBooks();
+    if (activeBooks.length === 0) {
         views.home.classList.replace('active', 'hidden');
         views.library.classList.replace('hidden', 'active');
         return;
     }
 
     const progressData = StorageManager.getProgress();
-    const toLearn = globalVocabularyData.filter(w => !progressData[w.id]?.isLearned);
-    
+    const hasUnlearned = getActiveVocabulary().some(w => !progressData[getProgressKey(w)]?.isLearned);
+    if (!hasUnlearned) {
+        alert("🎉 太棒了！在学词书的新词已全部学完！");
+        return;
+    }
+
+    // 一次只学一组，拼写和小结也只针对这一组
+    const toLearn = getTodayLearnQueue(progressData).slice(0, StorageManager.getLearnSettings().groupSize);
     if (toLearn.length === 0) {
-        alert("🎉 太棒了！这本书的新词已全部学完！");
+        alert("✅ 今天的新词计划已完成，明天再来或在「学习计划」里调高每日新词数～");
         return;
     }
 
     isReviewMode = false;
+    reviewReturnView = null;
     applyBackgroundContext('learning-blur');
     
     // 生成队列，并兼容清理极其罕见的异常进度
     learningQueue = toLearn.map(word => {
-        let savedStage = progressData[word.id]?.currentStage || 0;
+        let savedStage = progressData[getProgressKey(word)]?.currentStage || 0;
         if (savedStage >= 3) savedStage = 2; // 安全兜底
         return { ...word, stage: savedStage };
     });
+    currentSessionWords = toLearn;
     
     totalWords = learningQueue.length;
     learnedCount = 0;
@@ -401,10 +1422,19 @@ document.getElementById('btn-learn').addEventListener('click', () => {
 document.getElementById('btn-back').addEventListener('click', () => {
     saveCurrentSessionProgress(); 
     views.learning.classList.replace('active', 'hidden');
-    views.home.classList.replace('hidden', 'active');
-    applyBackgroundContext('reset');
+    showSessionReturnView();
 });
 
+// 学习或复习结束（含中途返回）后回到发起的页面：单词本复习回单词本，其余回首页
+function showSessionReturnView() {
+    const returnView = reviewReturnView || views.home;
+    reviewReturnView = null;
+    returnView.classList.replace('hidden', 'active');
+    applyBackgroundContext('reset');
+    if (returnView === notebookView) renderNotebookView();
+    else updateHomeCounts(); // 回到首页立刻刷新真实数字
+}
+
 function shuffleArray(array) {
     for (let i = array.length - 1; i > 0; i--) {
         const j = Math.floor(Math.random() * (i + 1));
@@ -437,22 +1467,8 @@ function updateDots(stage) {
 window.loadNextState = function() {
     // 【绝杀修复】：一旦某个单词学满 3 个绿点，不等到最后小结，原地立刻判定为学会并安排复习！
     if (!isReviewMode && currentWordObj && currentWordObj.id && currentWordObj.stage >= 3) {
-        let progress = StorageManager.getProgress();
-        if (!progress[currentWordObj.id]) progress[currentWordObj.id] = { errorCount: 0 };
-        
-        progress[currentWordObj.id].isLearned = true; // 正式毕业
-        progress[currentWordObj.id].ebStage = 0;
-        
-        // 推算明早4点进入复习池
-        let now = new Date();
-        let targetDate = new Date(now);
-        if (now.getHours() < 4) targetDate.setDate(targetDate.getDate() - 1);
-        targetDate.setDate(targetDate.getDate() + 1);
-        targetDate.setHours(4, 0, 0, 0);
-        
-        progress[currentWordObj.id].nextReviewDate = targetDate.getTime();
-        delete progress[currentWordObj.id].currentStage; // 抹除临时进度点
-        StorageManager.saveProgress(progress);
+        // 正式毕业：交给调度器初始化，明早4点进入复习池
+        StorageManager.markAsLearned(getProgressKey(currentWordObj), REVIEW_GRADES.GOOD, currentWordObj.bookId);
     }
 
     if (learningQueue.length === 0) {
@@ -461,10 +1477,10 @@ window.loadNextState = function() {
         return;
     }
     currentWordObj = learningQueue.shift();
+    AudioManager.preload(learningQueue[0]); // 预加载下一个单词的发音
     
     els.progressText.innerText = `${learnedCount + 1}/${totalWords}`;
-    els.wordPt.innerText = currentWordObj.pt; 
-    els.phonetic.innerText = currentWordObj.phonetic;
+    renderWordHeader(currentWordObj.stage === -2);
     els.pos.innerText = currentWordObj.pos;
     els.zh.innerText = currentWordObj.zh;
     
@@ -481,7 +1497,7 @@ window.loadNextState = function() {
         applyBackgroundContext('learning-blur');
         els.skeletonBars.classList.remove('hidden'); 
         document.getElementById('footer-review-assess').classList.remove('hidden'); 
-        playAudio(currentWordObj.pt);
+        if (!isReverseCard(currentWordObj)) playAudio(currentWordObj);
     } 
     else if (currentWordObj.stage === -2) {
         applyBackgroundContext('learning-blur');
@@ -489,45 +1505,133 @@ window.loadNextState = function() {
         els.detailArea.classList.remove('hidden');
         document.getElementById('word-example-pt').innerHTML = renderClickableSentence(currentWordObj.example.pt);
         document.getElementById('word-example-zh').innerText = currentWordObj.example.zh;
+        syncSentenceIcon(document.querySelector('#btn-save-example i'), currentWordObj.example);
         els.tabs[0].click();
         document.getElementById('footer-review-verify').classList.remove('hidden'); 
+        if (isReverseCard(currentWordObj)) playAudio(currentWordObj);
     }
     else {
         if (currentWordObj.stage === 0) renderStage0();
         else if (currentWordObj.stage === 1) renderStage1();
         else if (currentWordObj.stage === 2) renderStage2();
-        playAudio(currentWordObj.pt);
+        if (!isReverseCard(currentWordObj)) playAudio(currentWordObj);
     }
 }
 
+function isReverseCard(wordObj) {
+    return !!wordObj && wordObj.direction === 'zh2pt';
+}
+
+// 反向卡片在揭晓前以中文释义为题面，隐藏葡语与音标；揭晓后恢复正常词头
+function renderWordHeader(revealed) {
+    const prompting = isReverseCard(currentWordObj) && !revealed;
+    els.wordPt.innerText = prompting ? currentWordObj.zh : currentWordObj.pt;
+    els.wordPt.classList.toggle('reverse-prompt', prompting);
+    els.phonetic.innerText = currentWordObj.phonetic;
+    document.getElementById('phonetic-container').classList.toggle('hidden', prompting);
+    const promptPos = document.getElementById('reverse-prompt-pos');
+    promptPos.innerText = currentWordObj.pos || '';
+    promptPos.classList.toggle('hidden', !prompting);
+    syncStarIcon(document.getElementById('btn-star-word'), currentWordObj.id);
+    markEditedFields();
+}
+
 
 
 // ================= 序列 4：测验出题与交互反馈 (Stage 0) =================
+// 干扰项引擎：词书太小时从总词典取词；优先同词性、拼写/读音相近、近义词和用户真的选错过的词
+const DISTRACTOR_MIN_POOL = 30;
+
+// synonyms 形如 "ainda 甚至，还"，取中文之前的葡语部分
+function extractSynonymWord(text) {
+    return String(text).split(/[\u4e00-\u9fff(（]/)[0].trim().toLowerCase();
+}
+
+function sharedPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+}
+
+const DistractorEngine = {
+    getPool: function(wordObj) {
+        const bookWords = activeBookData[wordObj.bookId] || globalVocabularyData;
+        if (bookWords.length >= DISTRACTOR_MIN_POOL) return bookWords;
+        return Object.keys(globalDict).map(id => ({ ...globalDict[id], id }));
+    },
+    // 分数越高越容易混淆；reasons 记录命中的规则
+    score: function(wordObj, candidate, context) {
+        let score = Math.random() * 1.5; // 少量随机，避免每次都是同样三个
+        let reasons = [];
+        if (candidate.pos && candidate.pos === wordObj.pos) { score += 3; reasons.push('pos'); }
+
+        const a = stripAccents(wordObj.pt.toLowerCase()), b = stripAccents(candidate.pt.toLowerCase());
+        const prefix = sharedPrefixLength(a, b);
+        const similarity = 1 - alignSequences(Array.from(a), Array.from(b)).distance / Math.max(a.length, b.length);
+        if (prefix >= 2 || similarity >= 0.5) {
+            score += Math.min(prefix, 4) * 0.5 + similarity * 4;
+            reasons.push('spelling');
+        }
+
+        const candidateSynonyms = (candidate.synonyms || []).map(extractSynonymWord);
+        if (context.synonyms.includes(candidate.pt.toLowerCase()) || candidateSynonyms.includes(wordObj.pt.toLowerCase())) {
+            score += 5;
+            reasons.push('synonym');
+        }
+
+        const confusedTimes = context.confusions[candidate.id] || 0;
+        if (confusedTimes > 0) { score += 4 + confusedTimes; reasons.push('confusion'); }
+        return { score, reasons };
+    },
+    pick: function(wordObj, count = 3) {
+        const context = {
+            synonyms: (wordObj.synonyms || []).map(extractSynonymWord),
+            confusions: StorageManager.getConfusions(wordObj.id)
+        };
+        const seen = new Set([wordObj.pt.toLowerCase(), wordObj.zh]);
+        return this.getPool(wordObj)
+            .filter(c => c.id !== wordObj.id && c.pt && c.zh)
+            .map(c => ({ wordObj: c, ...this.score(wordObj, c, context) }))
+            .sort((x, y) => y.score - x.score)
+            .filter(c => {
+                // 同形或同义（中文释义完全一样）的选项会造成两个正确答案
+                const key = c.wordObj.pt.toLowerCase();
+                if (seen.has(key) || seen.has(c.wordObj.zh)) return false;
+                seen.add(key); seen.add(c.wordObj.zh);
+                return true;
+            })
+            .slice(0, count);
+    }
+};
+
 function renderStage0() {
     applyBackgroundContext('learning-blur');
     els.quizArea.classList.remove('hidden');
     els.fQuiz.classList.remove('hidden');
 
     els.fQuiz.innerHTML = `<div class="action-item" onclick="showAnswerDirectly()"><span>看答案</span><div class="line red"></div></div>`;
+    const reverse = isReverseCard(currentWordObj);
+    els.quizArea.querySelector('.hint-text').innerText = reverse ? '先回想葡语单词再选择，想不起来「看答案」' : '先回想词义再选择，想不起来「看答案」';
 
     let options = [{ wordObj: currentWordObj, isCorrect: true }];
-    let wrongCandidates = globalVocabularyData.filter(w => w.pt !== currentWordObj.pt);
-    shuffleArray(wrongCandidates);
-    
-    for (let i = 0; i < 3 && i < wrongCandidates.length; i++) {
-        options.push({ wordObj: wrongCandidates[i], isCorrect: false });
-    }
+    DistractorEngine.pick(currentWordObj).forEach(d => {
+        options.push({ wordObj: d.wordObj, isCorrect: false, reasons: d.reasons });
+    });
     shuffleArray(options);
-    currentOptionsData = options;
+    document.getElementById('cloze-card').classList.add('hidden');
+    fillQuizOptions(options, data => reverse ? `<span class="opt-pos">${data.pos}</span><span class="opt-zh">${data.pt}</span>` : `<span class="opt-pos">${data.pos}</span><span class="opt-zh">${data.zh}</span>`);
+}
 
+// 选择题的四个选项（第一关测验与例句填空共用）；renderContent 接收选项的单词对象与选项数据
+function fillQuizOptions(options, renderContent) {
+    currentOptionsData = options;
     els.options.forEach((optContainer, index) => {
         const contentEl = els.optContents[index];
         optContainer.classList.remove('wrong', 'correct', 'active');
         contentEl.innerHTML = '';
         
         if (currentOptionsData[index]) {
-            const data = currentOptionsData[index].wordObj;
-            contentEl.innerHTML = `<span class="opt-pos">${data.pos}</span><span class="opt-zh">${data.zh}</span>`;
+            contentEl.innerHTML = renderContent(currentOptionsData[index].wordObj, currentOptionsData[index]);
             optContainer.style.display = 'flex'; 
             optContainer.style.pointerEvents = 'auto'; 
         } else {
@@ -540,25 +1644,28 @@ window.checkAnswer = function(selectedIndex) {
     els.options.forEach(el => el.style.pointerEvents = 'none'); 
     const selectedData = currentOptionsData[selectedIndex];
     const clickedBtn = els.options[selectedIndex];
+    const isCloze = currentWordObj.stage === 1; // 第二关的例句填空同样走选择题
+    if (isCloze) document.getElementById('cloze-sentence').innerHTML = renderClozeSentence(currentWordObj.cloze, true);
     
     if (selectedData.isCorrect) {
-        currentWordObj.stage = 1; learningQueue.push(currentWordObj); updateDots(1); 
+        currentWordObj.stage++; learningQueue.push(currentWordObj); updateDots(currentWordObj.stage); 
         clickedBtn.classList.add('correct');
-        els.optContents[selectedIndex].innerHTML = `<div class="opt-bilingual"><span class="opt-pt-text">${selectedData.wordObj.pt}</span><span class="opt-zh-text">${selectedData.wordObj.pos} ${selectedData.wordObj.zh}</span></div>`;
+        els.optContents[selectedIndex].innerHTML = `<div class="opt-bilingual"><span class="opt-pt-text">${selectedData.label || selectedData.wordObj.pt}</span><span class="opt-zh-text">${selectedData.wordObj.pos} ${selectedData.wordObj.zh}</span></div>`;
         setTimeout(() => showDetails(), 400); 
     } else {
-        recordError(currentWordObj);
+        recordError(currentWordObj, isCloze ? 'cloze' : 'quiz');
+        if (!isCloze) StorageManager.saveConfusion(currentWordObj.id, selectedData.wordObj.id, selectedData.reasons); // 记下用户被哪个干扰项骗到
         currentWordObj.stage = 0; learningQueue.push(currentWordObj); updateDots(0); 
         clickedBtn.classList.add('wrong');
-        els.optContents[selectedIndex].innerHTML = `<div class="opt-bilingual"><span class="opt-pt-text">${selectedData.wordObj.pt}</span><span class="opt-zh-text">${selectedData.wordObj.pos} ${selectedData.wordObj.zh}</span></div>`;
+        els.optContents[selectedIndex].innerHTML = `<div class="opt-bilingual"><span class="opt-pt-text">${selectedData.label || selectedData.wordObj.pt}</span><span class="opt-zh-text">${selectedData.wordObj.pos} ${selectedData.wordObj.zh}</span></div>`;
         
         currentOptionsData.forEach((opt, index) => {
             if (opt.isCorrect) {
                 const correctBtn = els.options[index]; correctBtn.classList.add('correct');
-                els.optContents[index].innerHTML = `<div class="opt-bilingual"><span class="opt-pt-text">${opt.wordObj.pt}</span><span class="opt-zh-text">${opt.wordObj.pos} ${opt.wordObj.zh}</span></div>`;
+                els.optContents[index].innerHTML = `<div class="opt-bilingual"><span class="opt-pt-text">${opt.label || opt.wordObj.pt}</span><span class="opt-zh-text">${opt.wordObj.pos} ${opt.wordObj.zh}</span></div>`;
             }
         });
-        playAudio(selectedData.wordObj.pt);
+        playAudio(selectedData.wordObj);
         els.fQuiz.innerHTML = `<div class="action-item" onclick="showDetails()" style="animation: fadeIn 0.3s;"><span style="color: #fff; font-weight: 500;">查看详情</span><div class="line" style="background-color: #f39c12;"></div></div>`;
     }
 }
@@ -566,12 +1673,15 @@ window.checkAnswer = function(selectedIndex) {
 
 // ================= 序列 5：复习认词与详情逻辑 (Stage 1-3) =================
 function renderStage1() {
+    if (shouldUseClozeStage(currentWordObj)) { renderClozeStage(); return; }
     applyBackgroundContext('learning-green');
     els.skeletonBars.classList.remove('hidden');
     els.recognizeArea.classList.remove('hidden');
     els.recogSentenceCard.classList.remove('hidden');
     els.recogBlindText.classList.add('hidden');
-    els.recogExPt.innerHTML = renderClickableSentence(currentWordObj.example.pt); 
+    // 反向卡片用中文例句作提示，葡语例句会直接暴露答案
+    if (isReverseCard(currentWordObj)) els.recogExPt.innerText = currentWordObj.example.zh;
+    else els.recogExPt.innerHTML = renderClickableSentence(currentWordObj.example.pt); 
     els.fRecog.classList.remove('hidden');
 }
 
@@ -594,7 +1704,7 @@ document.getElementById('btn-not-recognize').addEventListener('click', punishAnd
 document.getElementById('btn-hint').addEventListener('click', punishAndShow);
 
 function punishAndShow() {
-    recordError(currentWordObj);
+    recordError(currentWordObj, 'recognize');
     currentWordObj.stage = 0; learningQueue.push(currentWordObj); updateDots(0);
     setTimeout(() => showDetails(), 150);
 }
@@ -610,6 +1720,11 @@ els.tabs.forEach(tab => {
 
 function renderTabContent(targetType) {
     els.tabContent.innerHTML = ''; 
+    const hasConjugations = !!getConjugations(currentWordObj);
+    document.querySelector('.tab[data-target="conjugations"]').classList.toggle('hidden', !hasConjugations);
+    syncNoteTab();
+    if (targetType === 'conjugations' && hasConjugations) { renderConjugationTab(currentWordObj); return; }
+    if (targetType === 'notes') { renderNoteTab(currentWordObj); return; }
     let contentData = currentWordObj[targetType] || [];
     if (contentData.length === 0) {
         els.tabContent.innerHTML = `<div style="height: 100%; display: flex; align-items: center; justify-content: center;"><p style="color: rgba(255,255,255,0.4); font-size: 0.9rem;">暂无数据</p></div>`; 
@@ -637,8 +1752,15 @@ window.showDetails = function() {
     els.detailArea.classList.remove('hidden'); 
     els.fDetail.classList.remove('hidden');
 
+    // 反向卡片到这里才揭晓葡语并发音
+    if (isReverseCard(currentWordObj) && els.wordPt.classList.contains('reverse-prompt')) {
+        renderWordHeader(true);
+        playAudio(currentWordObj);
+    }
+
     document.getElementById('word-example-pt').innerHTML = renderClickableSentence(currentWordObj.example.pt);
     document.getElementById('word-example-zh').innerText = currentWordObj.example.zh;
+    syncSentenceIcon(document.querySelector('#btn-save-example i'), currentWordObj.example);
     els.tabs[0].click(); 
 
     // 默认恢复双按钮状态，拦截器会自动覆盖
@@ -652,7 +1774,7 @@ window.showDetails = function() {
 
 document.getElementById('btn-next').addEventListener('click', () => { setTimeout(() => loadNextState(), 150); });
 document.getElementById('btn-forgot').addEventListener('click', () => {
-    recordError(currentWordObj);
+    recordError(currentWordObj, 'forgot');
     if (currentWordObj.stage === 3) learnedCount--; 
     currentWordObj.stage = 0; learningQueue.push(currentWordObj);
     setTimeout(() => loadNextState(), 150);
@@ -698,6 +1820,7 @@ function populateUpperTrack(meaningIdx) {
     els.upperTrack.style.transition = 'none'; els.upperTrack.style.transform = `translateX(0%)`; void els.upperTrack.offsetWidth;
     els.upperTrack.style.transition = 'transform 0.35s cubic-bezier(0.25, 1, 0.5, 1)';
     els.upperSource.innerText = meaning.examples[0].source || "词典例句";
+    syncSentenceIcon(document.getElementById('im-btn-save-sentence'), getImmersiveExample());
 }
 
 function updateUpperTransform() {
@@ -705,6 +1828,7 @@ function updateUpperTransform() {
     const dots = els.upperDots.querySelectorAll('.dot');
     if (dots.length > 0) { dots.forEach((dot, idx) => dot.classList.toggle('active', idx === currentExampleIndex)); }
     els.upperSource.innerText = currentWordObj.meanings[currentMeaningIndex].examples[currentExampleIndex].source || "词典例句";
+    syncSentenceIcon(document.getElementById('im-btn-save-sentence'), getImmersiveExample());
 }
 
 function updateLowerTransform() {
@@ -794,18 +1918,34 @@ window.showSummaryPhase = function() {
     applyBackgroundContext('learning-blur');
     
     els.summaryList.innerHTML = '';
-    const dataSource = isReviewMode ? window.currentReviewWords : globalVocabularyData;
+    const dataSource = dictationSession ? dictationSession.items : (isReviewMode ? window.currentReviewWords : currentSessionWords);
     document.getElementById('total-words-count').innerText = dataSource.length;
+    const practiceLabel = dictationSession ? (getTextPractice() ? getTextPractice().label : '听写') : '学习';
+    document.querySelector('.summary-header h2').innerText = `${practiceLabel}小结`;
+    document.getElementById('summary-action-label').innerText = practiceLabel;
+    document.getElementById('summary-unit-label').innerText = (getTextPractice() && getTextPractice().unit) || (dictationSession && dictationSession.kind === 'sentence' ? '句子' : '单词');
     
     dataSource.forEach(item => {
-        StorageManager.markAsLearned(item.id); 
+        const hintUsage = isListeningDictation() ? null : spellHintUsage[getSpellItemKey(item)];
+        if (!dictationSession) {
+            StorageManager.markAsLearned(getProgressKey(item), REVIEW_GRADES.GOOD, item.bookId); 
+            const hintGrade = getHintGrade(hintUsage);
+            if (hintGrade) StorageManager.applyHintGrade(getProgressKey(item), hintGrade, item.bookId);
+        } else if (dictationSession.kind === 'cloze') {
+            const clozeGrade = getPracticeGrade(item, hintUsage);
+            if (clozeGrade) StorageManager.updateReviewResult(getProgressKey(item), clozeGrade, item.bookId);
+        } else if (getTextPractice() && getTextPractice().bank) {
+            const sentenceGrade = getPracticeGrade(item, hintUsage);
+            if (sentenceGrade) StorageManager.reviewSentence(item.sentenceId, sentenceGrade);
+        }
         const errCount = item.errorCount || 0;
-        const errorClass = errCount === 0 ? 'summary-error zero' : 'summary-error';
-        const errorText = errCount === 0 ? '完美' : `错 ${errCount} 次`;
+        const hintText = hintUsage ? (hintUsage.audio ? '听了发音' : `提示 ${hintUsage.penalty}`) : '';
+        const errorClass = errCount === 0 && !hintUsage ? 'summary-error zero' : 'summary-error';
+        const errorText = [errCount > 0 ? `错 ${errCount} 次` : '', hintText].filter(Boolean).join(' · ') || '完美';
         
         els.summaryList.innerHTML += `
             <div class="summary-item">
-                <span class="summary-word">${item.pt}</span>
+                <span class="summary-word">${getTextPractice() ? escapeHTML(getTextPractice().summary(item)) : item.pt}</span>
                 <span class="${errorClass}">${errorText}</span>
             </div>
         `;
@@ -815,26 +1955,154 @@ window.showSummaryPhase = function() {
 
 els.btnFinish.addEventListener('click', () => {
     views.summary.classList.replace('active', 'hidden');
-    views.home.classList.replace('hidden', 'active');
-    applyBackgroundContext('reset'); 
-    updateHomeCounts(); // 回到首页立刻刷新真实数字
+    if (dictationSession) {
+        dictationSession.returnView.classList.replace('hidden', 'active');
+        if (dictationSession.onFinish) dictationSession.onFinish();
+        dictationSession = null;
+        applyBackgroundContext('reset');
+        return;
+    }
+    showSessionReturnView();
 });
 
 
 // ================= 序列 8：重构版拼写逻辑引擎 =================
 
 window.startSpellingPhase = function() {
+    beginSpellingRound(isReviewMode ? window.currentReviewWords : currentSessionWords);
+}
+
+function beginSpellingRound(words) {
     views.spelling.classList.replace('hidden', 'active');
     applyBackgroundContext('learning-blur');
     
-    spellingQueue = isReviewMode ? [...window.currentReviewWords] : [...globalVocabularyData];
+    spellingQueue = [...words];
     wrongWordsQueue = [];
+    spellHintUsage = {};
     spellCurrentIndex = 0;
     spellTotalInRound = spellingQueue.length;
     els.totalCount.innerText = spellTotalInRound;
     loadNextSpellWord();
 }
 
+// 听写：从已学单词（没有则取当前词书）中抽一组，听音频写单词或整句
+window.startDictation = function(kind, returnView) {
+    const progressData = StorageManager.getProgress();
+    let pool = getActiveVocabulary().filter(w => progressData[getProgressKey(w)]?.isLearned);
+    if (pool.length === 0) pool = [...globalVocabularyData];
+    if (kind === 'sentence') pool = pool.filter(w => w.example && w.example.pt);
+    if (pool.length === 0) { window.showToast("还没有可以听写的内容，先去学几个单词吧"); return; }
+
+    shuffleArray(pool);
+    dictationSession = { kind, items: pool.slice(0, StorageManager.getLearnSettings().groupSize), returnView };
+    isReviewMode = false;
+    returnView.classList.replace('active', 'hidden');
+    beginSpellingRound(dictationSession.items);
+};
+
+// 文字题面的练习会话（例句填空、动词变位）：要写出的词形、题面、揭晓答案、错误类型与小结里的显示
+const TEXT_PRACTICE_KINDS = {
+    cloze: {
+        label: '填空', errorType: 'cloze',
+        target: item => item.cloze.answer,
+        prompt: item => renderClozePrompt(item, false),
+        reveal: revealClozeAnswer,
+        summary: item => item.pt
+    },
+    conjugation: {
+        label: '变位', errorType: 'conjugation',
+        target: item => item.drill.answer,
+        prompt: item => renderConjugationPrompt(item, false),
+        reveal: revealConjugationAnswer,
+        summary: item => `${item.drill.lemma} → ${item.drill.answer}`
+    },
+    // 句库复习（bank）：成绩计入句子自己的排期；sentence 表示整句作答
+    sentenceCloze: {
+        label: '句库填空', errorType: 'cloze', bank: true, unit: '句子',
+        target: item => item.cloze.answer,
+        prompt: item => renderClozePrompt(item, false),
+        reveal: revealClozeAnswer,
+        summary: item => stripSentenceMarkup(item.example.pt)
+    },
+    sentenceTranslate: {
+        label: '中译葡', bank: true, unit: '句子', sentence: true,
+        target: item => stripSentenceMarkup(item.example.pt).trim(),
+        prompt: item => escapeHTML(item.example.zh),
+        reveal: revealSentenceTranslation,
+        summary: item => stripSentenceMarkup(item.example.pt)
+    }
+};
+
+function getTextPractice() {
+    return dictationSession ? TEXT_PRACTICE_KINDS[dictationSession.kind] || null : null;
+}
+
+// 当前这一题要写出的内容：句子听写为去掉高亮标记的例句，文字练习由各自的 target 决定
+function getSpellTarget(item) {
+    const practice = getTextPractice();
+    if (practice) return practice.target(item);
+    return dictationSession && dictationSession.kind === 'sentence' ? stripSentenceMarkup(item.example.pt).trim() : item.pt;
+}
+
+// 整句作答（句子听写、句库中译葡）按词对齐批改
+function isSentenceAnswer() {
+    if (!dictationSession) return false;
+    return dictationSession.kind === 'sentence' || !!(getTextPractice() && getTextPractice().sentence);
+}
+
+// 提示与成绩的记账键：句库的多个句子可能属于同一个单词，按句子区分
+function getSpellItemKey(item) {
+    return item.sentenceId || item.id;
+}
+
+// 听音频作答的会话（单词 / 句子听写）；文字练习虽然也用 dictationSession，但题面是文字
+function isListeningDictation() {
+    return !!dictationSession && !getTextPractice();
+}
+
+function playSpellPrompt() {
+    playAudio(currentSpellWord, dictationSession && dictationSession.kind === 'sentence' ? 'example' : 'word');
+}
+
+// 句子按词切分：忽略大小写与标点，保留词内的连字符和撇号（如 disse-lhe）
+function normalizeDictationToken(token) {
+    return token.toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, '').replace(/^['-]+|['-]+$/g, '');
+}
+
+function tokenizeSentence(text) {
+    return text.split(/\s+/)
+        .map(raw => ({ raw, norm: normalizeDictationToken(raw) }))
+        .filter(token => token.norm);
+}
+
+// 两个序列的最小编辑对齐（Levenshtein），ops 中 insert 为输入多出的项，delete 为输入漏掉的项
+function alignSequences(target, input, equals = (a, b) => a === b) {
+    const n = target.length, m = input.length;
+    let dp = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : (j === 0 ? i : 0))));
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const cost = equals(target[i - 1], input[j - 1]) ? 0 : 1;
+            dp[i][j] = Math.min(dp[i - 1][j - 1] + cost, dp[i - 1][j] + 1, dp[i][j - 1] + 1);
+        }
+    }
+
+    let ops = [];
+    let i = n, j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + (equals(target[i - 1], input[j - 1]) ? 0 : 1)) {
+            ops.push({ type: equals(target[i - 1], input[j - 1]) ? 'match' : 'substitute', target: target[i - 1], input: input[j - 1] });
+            i--; j--;
+        } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+            ops.push({ type: 'delete', target: target[i - 1] });
+            i--;
+        } else {
+            ops.push({ type: 'insert', input: input[j - 1] });
+            j--;
+        }
+    }
+    return { distance: dp[n][m], ops: ops.reverse() };
+}
+
 els.btnCloseSpell.addEventListener('click', () => {
     if (confirm('确定要退出拼写直接看小结吗？')) {
         showSummaryPhase();
@@ -857,13 +2125,16 @@ function loadNextSpellWord() {
     currentSpellWord = spellingQueue.shift();
     spellCurrentIndex++;
     spellHasErroredThisTurn = false;
+    spellHintState = { revealed: 0, audio: false };
     isSpellChecking = false;
     updateSpellUI();
 }
 
 function updateSpellUI() {
     els.spellProgress.innerText = `${spellCurrentIndex}/${spellTotalInRound}`;
-    els.spellMeaning.innerText = `${currentSpellWord.pos} ${currentSpellWord.zh}`;
+    if (getTextPractice()) els.spellMeaning.innerHTML = getTextPractice().prompt(currentSpellWord);
+    else els.spellMeaning.innerText = dictationSession ? '🔊 听写中，点这里再听一遍' : `${currentSpellWord.pos} ${currentSpellWord.zh}`;
+    els.letterBoxes.classList.toggle('sentence-mode', isSentenceAnswer());
     
     let dotsContainer = document.getElementById('spell-dots-container');
     if (!dotsContainer) {
@@ -889,7 +2160,8 @@ function updateSpellUI() {
     els.hiddenInput.removeAttribute('maxLength');
     
     els.letterBoxes.innerHTML = '';
-    for (let i = 0; i < currentSpellWord.pt.length; i++) {
+    const spellTarget = getSpellTarget(currentSpellWord);
+    for (let i = 0; i < spellTarget.length; i++) {
         els.letterBoxes.innerHTML += `<div class="letter-box" style="display: none;"></div>`;
     }
     
@@ -900,10 +2172,15 @@ function updateSpellUI() {
     
     if (!window.originalHintHTML) window.originalHintHTML = els.hintContainer.innerHTML;
     els.hintContainer.innerHTML = window.originalHintHTML;
+    if (isListeningDictation()) playSpellPrompt();
     
     setTimeout(() => { els.hiddenInput.focus(); }, 50);
 }
 
+els.spellMeaning.addEventListener('click', () => {
+    if (isListeningDictation()) playSpellPrompt();
+});
+
 els.hiddenInput.addEventListener('compositionstart', () => { isComposing = true; });
 els.hiddenInput.addEventListener('compositionend', (e) => { 
     isComposing = false; 
@@ -927,6 +2204,13 @@ document.getElementById('btn-submit-spell').addEventListener('click', () => {
 });
 
 function syncInputToSlots(val) {
+    // 死键只用于拼单词；整句作答里的撇号、引号和逗号是正常标点，不能被吃掉
+    const converted = isSentenceAnswer() ? val : applyDeadKeys(val);
+    if (converted !== val) {
+        els.hiddenInput.value = converted;
+        val = converted;
+    }
+
     while (els.letterBoxes.children.length <= val.length) {
         els.letterBoxes.insertAdjacentHTML('beforeend', `<div class="letter-box" style="display: none;"></div>`);
     }
@@ -934,7 +2218,7 @@ function syncInputToSlots(val) {
     const boxes = els.letterBoxes.children;
     for (let i = 0; i < boxes.length; i++) {
         boxes[i].innerText = '';
-        boxes[i].classList.remove('filled', 'has-cursor');
+        boxes[i].classList.remove('filled', 'has-cursor', 'ghost');
         boxes[i].style.display = 'none'; 
     }
     
@@ -950,76 +2234,200 @@ function syncInputToSlots(val) {
     } else {
         boxes[val.length - 1].insertAdjacentHTML('afterend', `<div class="letter-box has-cursor" style="display: flex;"></div>`);
     }
+    renderSpellHintGhosts(val);
+}
+
+// 用过提示后，尚未输入的位置显示单词长度（下划线）和已揭示的字母
+function renderSpellHintGhosts(val) {
+    if (!spellHintState.revealed) return;
+    const target = getSpellTarget(currentSpellWord);
+    while (els.letterBoxes.children.length < target.length) {
+        els.letterBoxes.insertAdjacentHTML('beforeend', `<div class="letter-box" style="display: none;"></div>`);
+    }
+    const boxes = els.letterBoxes.children;
+    for (let i = val.length; i < target.length; i++) {
+        boxes[i].innerText = i < spellHintState.revealed ? target[i] : '_';
+        boxes[i].classList.add('ghost');
+        boxes[i].style.display = 'flex';
+    }
 }
 
 document.querySelector('.spell-main-content').addEventListener('click', () => {
     if(!isSpellChecking) els.hiddenInput.focus();
 });
 
+// 拼写批改模式：strict 时漏写重音/软音符也算错；lenient 时接受但会提醒
+const SPELLING_MODES = { strict: '严格', lenient: '宽松（重音符号不算错）' };
+
+function stripAccents(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+// 把对齐结果里「去掉重音后相同、原字符不同」的配对标成 accent，并给出整体错误类型
+function classifyAlignment(ops, key = x => x) {
+    ops.forEach(op => { if (op.type === 'match' && key(op.target) !== key(op.input)) op.type = 'accent'; });
+    if (ops.some(op => op.type !== 'match' && op.type !== 'accent')) return 'spelling';
+    return ops.some(op => op.type === 'accent') ? 'accent' : null;
+}
+
+function isGradeAccepted(errorType) {
+    return !errorType || (errorType === 'accent' && StorageManager.getLearnSettings().spellingMode === 'lenient');
+}
+
+// 以去掉重音后的字母做编辑距离对齐，漏一个字母不会让后面全部判错
+function gradeSpelling(target, input) {
+    const targetChars = Array.from(target.normalize('NFC').toLowerCase());
+    const inputChars = Array.from(input.normalize('NFC').toLowerCase());
+    const { ops } = alignSequences(targetChars, inputChars, (a, b) => stripAccents(a) === stripAccents(b));
+    const errorType = classifyAlignment(ops);
+    return { ops, errorType, isCorrect: isGradeAccepted(errorType) };
+}
+
+const SPELL_DIFF_CLASSES = { match: 'correct', accent: 'accent', substitute: 'wrong', delete: 'missing', insert: 'extra' };
+
+function renderSpellDiff(ops) {
+    els.letterBoxes.innerHTML = ops.map(op => {
+        const char = op.type === 'insert' ? op.input : op.target;
+        return `<div class="letter-box ${SPELL_DIFF_CLASSES[op.type]}" style="display: flex;">${escapeHTML(char)}</div>`;
+    }).join('');
+}
+
 function checkSpelling() {
     if (isSpellChecking) return;
+    if (isSentenceAnswer()) { checkDictationSentence(); return; }
     isSpellChecking = true;
     
-    const userInput = els.hiddenInput.value.trim().toLowerCase();
-    const targetWord = currentSpellWord.pt.toLowerCase();
-    const boxes = els.letterBoxes.children;
-    
-    for (let i = 0; i < boxes.length; i++) {
-        boxes[i].classList.remove('has-cursor');
-        boxes[i].style.display = 'flex'; 
-    }
-    
-    let isCorrect = (userInput === targetWord);
+    const target = getSpellTarget(currentSpellWord);
+    const input = els.hiddenInput.value.trim();
+    const result = gradeSpelling(target, input);
+    renderSpellDiff(result.ops);
+    const practice = getTextPractice();
+    if (practice) recordPracticeResult(result.isCorrect && !spellHasErroredThisTurn);
     
     let dotsContainer = document.getElementById('spell-dots-container');
     let currentDot = dotsContainer ? dotsContainer.children[spellCurrentIndex - 1] : null;
 
-    if (isCorrect && !spellHasErroredThisTurn) {
-        if (currentDot) currentDot.className = 'spell-dot correct';
-        
-        for (let i = 0; i < boxes.length; i++) { boxes[i].classList.add('correct'); }
-        playAudio(currentSpellWord.pt);
-        setTimeout(loadNextSpellWord, 800); 
-    } else {
-        if (!spellHasErroredThisTurn) {
-            spellHasErroredThisTurn = true;
-            wrongWordsQueue.push(currentSpellWord);
-            recordError(currentSpellWord); 
-            if (currentDot) currentDot.className = 'spell-dot wrong';
-        }
-        
-        const maxLen = Math.max(targetWord.length, userInput.length);
-        for (let i = 0; i < maxLen; i++) {
-            if (boxes[i]) boxes[i].classList.remove('filled', 'correct', 'wrong');
-            
-            let charToShow = userInput[i] !== undefined ? userInput[i] : targetWord[i];
-            
-            if (userInput[i] === targetWord[i]) {
-                if(boxes[i]) { boxes[i].innerText = charToShow; boxes[i].classList.add('correct'); }
-            } else {
-                if(boxes[i]) { boxes[i].innerText = targetWord[i] || charToShow; boxes[i].classList.add('wrong'); }
-            }
+    if (result.isCorrect && !spellHasErroredThisTurn) {
+        if (currentDot) currentDot.className = spellHintState.revealed ? 'spell-dot hinted' : 'spell-dot correct';
+        if (result.errorType === 'accent') {
+            StorageManager.saveErrorType(currentSpellWord.id, 'accent'); // 宽松模式放行，但记下这次重音失误
+            window.showToast(`注意重音符号：${target}`);
         }
-        playAudio(currentSpellWord.pt);
-        setTimeout(loadNextSpellWord, 2000); 
+        if (practice) practice.reveal();
+        else playAudio(currentSpellWord);
+        setTimeout(loadNextSpellWord, practice ? 1800 : (result.errorType ? 1500 : 800)); 
+    } else {
+        markSpellWrong(practice && result.errorType !== 'accent' ? practice.errorType : (result.errorType || 'spelling'));
+        const practiceFeedback = practice ? explainPracticeMistake(currentSpellWord, input) : '';
+        if (result.errorType === 'accent') window.showToast("只差重音符号/软音符～");
+        else if (practiceFeedback) window.showToast(practiceFeedback);
+        if (practice) practice.reveal();
+        else playAudio(currentSpellWord);
+        setTimeout(loadNextSpellWord, practice ? 3000 : 2000); 
     }
 }
 
-els.hintContainer.addEventListener('click', () => {
-    if (isSpellChecking) return;
+// 用过提示或拼错的题进入错题轮，同一题只进一次
+function queueSpellRetry() {
+    if (!wrongWordsQueue.includes(currentSpellWord)) wrongWordsQueue.push(currentSpellWord);
+}
+
+// 记一次错：同一题只记一次；errorType 见 recordError
+function markSpellWrong(errorType) {
+    if (spellHasErroredThisTurn) return;
+    spellHasErroredThisTurn = true;
+    queueSpellRetry();
+    recordError(currentSpellWord, errorType);
     
-    if (!spellHasErroredThisTurn) {
-        spellHasErroredThisTurn = true;
-        wrongWordsQueue.push(currentSpellWord);
-        recordError(currentSpellWord);
-        
+    let dotsContainer = document.getElementById('spell-dots-container');
+    if (dotsContainer && dotsContainer.children[spellCurrentIndex - 1]) {
+        dotsContainer.children[spellCurrentIndex - 1].className = 'spell-dot wrong';
+    }
+}
+
+// 整句听写：按词对齐批改，大小写与标点不计错
+function checkDictationSentence() {
+    isSpellChecking = true;
+    const targetTokens = tokenizeSentence(getSpellTarget(currentSpellWord));
+    const inputTokens = tokenizeSentence(els.hiddenInput.value);
+    const { ops } = alignSequences(targetTokens, inputTokens, (a, b) => stripAccents(a.norm) === stripAccents(b.norm));
+    const errorType = classifyAlignment(ops, token => token.norm);
+    const isCorrect = isGradeAccepted(errorType);
+    const practice = getTextPractice();
+    if (practice) recordPracticeResult(isCorrect && !spellHasErroredThisTurn);
+
+    els.letterBoxes.innerHTML = ops.map(op => {
+        const inputHTML = op.input && op.type !== 'match' ? `<s>${escapeHTML(op.input.raw)}</s> ` : '';
+        if (op.type === 'insert') return `<span class="dict-token extra">${inputHTML}</span>`;
+        return `<span class="dict-token ${SPELL_DIFF_CLASSES[op.type]}">${inputHTML}${escapeHTML(op.target.raw)}</span>`;
+    }).join(' ');
+
+    if (isCorrect && !spellHasErroredThisTurn) {
         let dotsContainer = document.getElementById('spell-dots-container');
         if (dotsContainer && dotsContainer.children[spellCurrentIndex - 1]) {
-            dotsContainer.children[spellCurrentIndex - 1].className = 'spell-dot wrong';
+            dotsContainer.children[spellCurrentIndex - 1].className = 'spell-dot correct';
         }
+        if (errorType === 'accent') StorageManager.saveErrorType(currentSpellWord.id, 'accent');
+        if (practice) practice.reveal();
+        setTimeout(loadNextSpellWord, errorType ? 2500 : 1200);
+    } else {
+        markSpellWrong(errorType || 'spelling');
+        if (practice) practice.reveal();
+        else els.spellMeaning.innerText = currentSpellWord.example.zh;
+        setTimeout(loadNextSpellWord, 4000);
+    }
+}
+
+// 分级提示：第一下给出长度和首字母，之后每下多揭示一个字母（最后一个字母不揭示），再之后播放发音
+// 每一级的扣分不同，累计在进度里，供小结和调度器区分「差一个字母」与「完全忘了」
+const HINT_PENALTIES = { shape: 1, letter: 1, audio: 3 };
+
+function useSpellHint() {
+    const target = getSpellTarget(currentSpellWord);
+    let tier, label;
+    if (spellHintState.revealed === 0) {
+        tier = 'shape';
+        spellHintState.revealed = 1;
+        label = `共 ${target.length} 个字母`;
+    } else if (spellHintState.revealed < target.length - 1) {
+        tier = 'letter';
+        spellHintState.revealed++;
+        label = `已揭示 ${spellHintState.revealed} 个字母`;
+    } else {
+        tier = spellHintState.audio ? null : 'audio'; // 重复听发音不再扣分
+        spellHintState.audio = true;
+        label = currentSpellWord.phonetic || '🔊';
+        playAudio(currentSpellWord);
+    }
+
+    if (tier) {
+        let usage = spellHintUsage[getSpellItemKey(currentSpellWord)] || { penalty: 0, audio: false };
+        usage.penalty += HINT_PENALTIES[tier];
+        usage.audio = usage.audio || tier === 'audio';
+        spellHintUsage[getSpellItemKey(currentSpellWord)] = usage;
+        StorageManager.saveHintUsage(currentSpellWord.id, tier, HINT_PENALTIES[tier]);
     }
+    syncInputToSlots(els.hiddenInput.value);
+    return label;
+}
+
+// 本轮提示对调度的影响：听了发音才写出记为 AGAIN，只看了字母记为 HARD，没用提示不调整
+function getHintGrade(usage) {
+    if (!usage || usage.penalty === 0) return null;
+    return usage.audio ? REVIEW_GRADES.AGAIN : REVIEW_GRADES.HARD;
+}
+
+els.hintContainer.addEventListener('click', () => {
+    if (isSpellChecking) return;
+    if (isListeningDictation()) { playSpellPrompt(); els.hiddenInput.focus(); return; } // 听写的提示就是再听一遍
+    
+    queueSpellRetry();
+    let dotsContainer = document.getElementById('spell-dots-container');
+    let currentDot = dotsContainer ? dotsContainer.children[spellCurrentIndex - 1] : null;
+    if (currentDot && !spellHasErroredThisTurn) currentDot.className = 'spell-dot hinted';
+    const label = useSpellHint();
     
-    els.hintContainer.innerHTML = `<span style="color: #EBB04D; font-size: 1.1rem; letter-spacing: 1px; font-weight: 500;">${currentSpellWord.phonetic}</span>`;
+    els.hintContainer.innerHTML = `<span style="color: #EBB04D; font-size: 1.1rem; letter-spacing: 1px; font-weight: 500;">${escapeHTML(label)}</span>`;
     els.hiddenInput.focus();
 
     clearTimeout(window.hintTimeout);
@@ -1084,12 +2492,12 @@ window.renderDashboardData = function() {
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getHours() < 4 ? now.getDate() - 1 : now.getDate(), 4, 0, 0).getTime();
     
     globalVocabularyData.forEach(word => {
-        const p = progressData[word.id];
+        const p = progressData[getProgressKey(word)];
         if (p) {
             if (p.isLearned) learned++;
             if (p.isLearned && p.nextReviewDate > todayStart && p.nextReviewDate <= todayStart + 86400000) todayLearned++;
-            if (p.errorCount > 0) errorWords++;
         }
+        if (word.errorCount > 0) errorWords++;
     });
     
     const total = globalVocabularyData.length;
@@ -1177,7 +2585,7 @@ window.renderDashboardData = function() {
 }
 
 // 3. 换本词书路由
-const btnChangeBook = document.querySelector('.btn-change-book');
+const btnChangeBook = document.getElementById('btn-change-book');
 const btnBackDashboard = document.getElementById('btn-back-dashboard');
 
 if (btnChangeBook) {
@@ -1200,6 +2608,7 @@ const dashboardMoreMenu = document.getElementById('dashboard-more-menu');
 if(btnDashboardMore && dashboardMoreMenu) {
     btnDashboardMore.addEventListener('click', (e) => {
         e.stopPropagation(); 
+        if (window.updateSchedulerMenuLabel) updateSchedulerMenuLabel();
         dashboardMoreMenu.classList.toggle('hidden');
     });
     document.addEventListener('click', (e) => {
@@ -1213,14 +2622,13 @@ const menuItems = document.querySelectorAll('#dashboard-more-menu .menu-item');
 if(menuItems.length >= 4) {
     menuItems[0].addEventListener('click', () => { window.openWordlist(); });
     menuItems[1].addEventListener('click', () => {
-        window.showToast("正在下载离线音频...");
-        setTimeout(() => window.showToast("离线数据已更新完毕"), 1500);
         dashboardMoreMenu.classList.add('hidden');
+        downloadCurrentBookOffline();
     });
     menuItems[2].addEventListener('click', () => {
         if(confirm("确定要清空当前词书的所有学习记录吗？此操作不可恢复。")) {
             let progress = StorageManager.getProgress();
-            globalVocabularyData.forEach(w => { delete progress[w.id]; });
+            globalVocabularyData.forEach(w => { delete progress[w.id]; delete progress[buildProgressKey(w.id, 'zh2pt')]; });
             StorageManager.saveProgress(progress);
             renderDashboardData();
             window.showToast("词书进度已重置");
@@ -1228,9 +2636,27 @@ if(menuItems.length >= 4) {
         }
     });
     menuItems[3].addEventListener('click', () => {
-        window.showToast("检查更新中...");
-        setTimeout(() => window.showToast("当前已是最新版本"), 1000);
         dashboardMoreMenu.classList.add('hidden');
+        checkBookUpdates();
+    });
+}
+
+// 复习算法切换：按词书保存，SM-2 与 FSRS 之间轮换
+const btnMenuScheduler = document.getElementById('btn-menu-scheduler');
+
+window.updateSchedulerMenuLabel = function() {
+    const label = document.getElementById('menu-scheduler-label');
+    if (label) label.innerText = Scheduler.getAlgorithm(StorageManager.getSchedulerName()).label;
+};
+
+if (btnMenuScheduler) {
+    btnMenuScheduler.addEventListener('click', () => {
+        const book = StorageManager.getCurrentBook();
+        if (!book) { window.showToast("请先选择一本词书"); return; }
+        const next = StorageManager.getSchedulerName() === 'fsrs' ? 'sm2' : 'fsrs';
+        StorageManager.saveBookSettings(book.fileName, { scheduler: next });
+        updateSchedulerMenuLabel();
+        window.showToast(`《${book.title}》已切换为 ${Scheduler.getAlgorithm(next).label} 复习算法`);
     });
 }
 
@@ -1244,27 +2670,13 @@ window.openWordlist = function() {
     document.getElementById('dashboard-view').classList.replace('active', 'hidden');
     wordlistView.classList.replace('hidden', 'active');
     
-    const wordCount = globalVocabularyData.length;
-    document.getElementById('wordlist-total-count').innerText = wordCount;
-    document.getElementById('wordlist-unit-count').innerText = `${wordCount}词`;
-    
-    const progressData = StorageManager.getProgress();
-    
-    if(wordlistItemsContainer) {
-        wordlistItemsContainer.innerHTML = '';
-        globalVocabularyData.forEach(word => {
-            const isLearned = progressData[word.id]?.isLearned ? '<i class="fa-solid fa-check" style="color: #34C759; margin-left: 8px; font-size: 0.8rem;"></i>' : '';
-            wordlistItemsContainer.innerHTML += `
-                <div class="wordlist-item" style="padding: 14px 0; border-bottom: 1px solid rgba(255,255,255,0.05); display: flex; justify-content: space-between; align-items: center; cursor: pointer;" onclick="showWordPopup('${word.pt}')">
-                    <div>
-                        <span style="font-size: 1.05rem; font-weight: 500;">${word.pt}</span>
-                        ${isLearned}
-                    </div>
-                    <span style="font-size: 0.85rem; color: rgba(255,255,255,0.5);">${word.zh.length > 10 ? word.zh.substring(0,10)+'...' : word.zh}</span>
-                </div>
-            `;
-        });
-    }
+    const book = StorageManager.getCurrentBook();
+    if (book) document.querySelector('.wordlist-title').innerText = book.title;
+    document.getElementById('wordlist-total-count').innerText = globalVocabularyData.length;
+    wordlistState.unit = 0;
+    wordlistState.revealed = new Set();
+    renderWordlistUnitSizeOptions();
+    renderWordlist();
 };
 
 if(btnBackFromWordlist) {
@@ -1286,44 +2698,222 @@ if(btnOpenWordlistCover) {
 
 
 // ================= JS 序列 12：一键换书魔法 =================
-const allLibraryBooks = document.querySelectorAll('.lib-book-item');
+// 词库列表由 BookRegistry 渲染，新增词书只需修改 books.json
+const libraryBookList = document.getElementById('library-book-list');
+const librarySearchInput = document.getElementById('library-search-input');
+let libraryCategory = '我的';
+let librarySource = 'all';
+
+window.renderLibrary = function() {
+    if (!libraryBookList) return;
+    const keyword = librarySearchInput ? librarySearchInput.value.trim().toLowerCase() : '';
+    const currentBook = StorageManager.getCurrentBook();
+
+    const books = BookRegistry.all().filter(book => {
+        if (libraryCategory !== '我的' && !(book.categories || []).includes(libraryCategory)) return false;
+        if (librarySource === 'custom' && !book.custom) return false;
+        if (librarySource === 'builtin' && book.custom) return false;
+        if (keyword && !`${book.title} ${book.description || ''}`.toLowerCase().includes(keyword)) return false;
+        return true;
+    });
 
-allLibraryBooks.forEach(bookItem => {
-    bookItem.addEventListener('click', async () => {
-        const fileName = bookItem.getAttribute('data-file');
-        const bookTitle = bookItem.getAttribute('data-title');
-        const coverClass = bookItem.getAttribute('data-cover');
-        const coverText = bookItem.getAttribute('data-cover-text');
+    if (books.length === 0) {
+        libraryBookList.innerHTML = `<p style="color: rgba(255,255,255,0.4); font-size: 0.9rem; text-align: center; margin-top: 40px;">这里还没有词书</p>`;
+        return;
+    }
 
-        // 【核心修复】：把 book_enem 加入允许加载的白名单！
-        const allowedBooks = ['book_core', 'book_enem']; 
-        
-        if (!allowedBooks.includes(fileName)) {
-            alert(`《${bookTitle}》的数据文件 (${fileName}.json) 还没创建哦，先背其他的吧！`);
-            return;
-        }
+    libraryBookList.innerHTML = books.map(book => {
+        const isLearning = currentBook && currentBook.fileName === book.id;
+        const badge = book.badge ? `<span class="hot-badge" style="position: relative; top: 0; right: 0; margin-left: 8px;">${escapeHTML(book.badge)}</span>` : '';
+        return `
+            <div class="lib-book-item" data-file="${escapeHTML(book.id)}">
+                <div class="lib-book-cover ${escapeHTML(book.coverClass || '')}">
+                    <div class="cover-text" style="${escapeHTML(book.coverStyle || '')}">${escapeHTML(book.coverText).replace('\\n', '<br>')}</div>
+                </div>
+                <div class="lib-book-info">
+                    <h4>${escapeHTML(book.title)}</h4>
+                    <p>${escapeHTML(book.description || '')}</p>
+                    <div class="lib-book-meta"><span class="lib-word-count">… 词</span>${badge}${isLearning ? '<span class="tag-learning">正在学习</span>' : ''}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    // 词数由实际的单词 ID 列表计算
+    books.forEach(async book => {
+        let count = '?';
+        try { count = (await BookRegistry.getWordIds(book.id)).length; } catch (e) {}
+        const bookItem = findLibraryBookItem(book.id);
+        const countEl = bookItem && bookItem.querySelector('.lib-word-count');
+        if (countEl) countEl.innerText = `${count} 词`;
+    });
+};
 
-        const bookInfo = { fileName, title: bookTitle, coverClass, coverText };
-        StorageManager.setCurrentBook(bookInfo);
-        await loadVocabularyBook(fileName, bookTitle);
-        updateDashboardBookUI(bookInfo);
-        if (typeof renderDashboardData === 'function') renderDashboardData();
+// 词书 ID 可能来自导入的备份，不拼进选择器，逐个比对 data-file
+function findLibraryBookItem(bookId) {
+    return [...document.querySelectorAll('.lib-book-item')].find(item => item.dataset.file === bookId) || null;
+}
 
-        document.getElementById('library-view').classList.replace('active', 'hidden');
-        document.getElementById('dashboard-view').classList.replace('hidden', 'active');
+window.selectLibraryBook = async function(bookId) {
+    const book = BookRegistry.get(bookId);
+    if (!book) {
+        alert('这本词书已不存在，先背其他的吧！');
+        return;
+    }
+
+    const bookInfo = BookRegistry.toBookInfo(book);
+    StorageManager.setCurrentBook(bookInfo);
+    StorageManager.addActiveBook(book.id); // 换书不会放弃其他在学词书
+    await loadVocabularyBook(book.id, book.title);
+    updateDashboardBookUI(bookInfo);
+    if (typeof renderDashboardData === 'function') renderDashboardData();
+
+    document.getElementById('library-view').classList.replace('active', 'hidden');
+    document.getElementById('dashboard-view').classList.replace('hidden', 'active');
+};
+
+if (libraryBookList) {
+    libraryBookList.addEventListener('click', (e) => {
+        const bookItem = e.target.closest('.lib-book-item');
+        if (bookItem) selectLibraryBook(bookItem.getAttribute('data-file'));
+    });
+}
+
+document.querySelectorAll('.library-primary-tabs span[data-category]').forEach(tab => {
+    tab.addEventListener('click', () => {
+        document.querySelectorAll('.library-primary-tabs span[data-category]').forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        libraryCategory = tab.dataset.category;
+        renderLibrary();
     });
 });
 
+document.querySelectorAll('.library-secondary-tabs span[data-source]').forEach(tab => {
+    tab.addEventListener('click', () => {
+        document.querySelectorAll('.library-secondary-tabs span[data-source]').forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        librarySource = tab.dataset.source;
+        renderLibrary();
+    });
+});
+
+if (librarySearchInput) librarySearchInput.addEventListener('input', () => renderLibrary());
+
 // ================= 序列 13：跨库点击查词逻辑 =================
-window.showWordPopup = function(wordStr) {
+
+const PERSON_LABELS = ['第一人称单数', '第二人称单数', '第三人称单数', '第一人称复数', '第二人称复数', '第三人称复数'];
+const PARTICIPLE_ENDINGS = { ar: { participle: 'ado', gerund: 'ando' }, er: { participle: 'ido', gerund: 'endo' }, ir: { participle: 'ido', gerund: 'indo' } };
+
+// 名词/形容词的复数：-ão 三种复数都收；-al/-el/-ol/-ul → -ais/-eis/-óis/-uis；-il 两种都收；-m → -ns；辅音结尾加 -es
+function pluralForms(word) {
+    if (/ão$/.test(word)) return ['ões', 'ães', 'ãos'].map(e => word.slice(0, -2) + e);
+    if (/[aeou]l$/.test(word)) return [word.slice(0, -1) + 'is', word.slice(0, -2) + { a: 'ais', e: 'eis', o: 'óis', u: 'uis' }[word.slice(-2, -1)]];
+    if (/il$/.test(word)) return [word.slice(0, -1) + 's', word.slice(0, -2) + 'eis'];
+    if (/m$/.test(word)) return [word.slice(0, -1) + 'ns'];
+    if (/[rzs]$/.test(word)) return [word + 'es'];
+    return [word + 's'];
+}
+
+// 阴性形式：-o → -a，-or → -ora，-ês → -esa
+function feminineForm(word) {
+    if (/o$/.test(word)) return word.slice(0, -1) + 'a';
+    if (/or$/.test(word)) return word + 'a';
+    if (/ês$/.test(word)) return word.slice(0, -2) + 'esa';
+    return null;
+}
+
+// 词形索引：词典载入时把复数、阴阳性、动词变位与分词都映射回词条，键忽略大小写和重音
+const InflectionIndex = {
+    _map: new Map(),
+    key: function(form) {
+        return stripAccents(form.trim().toLowerCase());
+    },
+    add: function(form, id, description) {
+        const key = this.key(form);
+        if (!key) return;
+        const list = this._map.get(key) || [];
+        if (!list.some(item => item.id === id && item.form === form)) list.push({ id, form, description });
+        this._map.set(key, list);
+    },
+    addEntry: function(id, entry) {
+        if (!entry || !entry.pt) return;
+        const lemma = entry.pt.trim().toLowerCase();
+        this.add(lemma, id, null);
+        if (/\s/.test(lemma)) return; // 词组只收原形
+
+        const table = getConjugations(entry);
+        if (table) {
+            Object.keys(CONJUGATION_TENSES).forEach(tense => {
+                (table[tense] || []).forEach((form, person) => this.add(form, id, `${CONJUGATION_TENSES[tense]} · ${PERSON_LABELS[person]}`));
+            });
+            const endings = PARTICIPLE_ENDINGS[lemma.slice(-2)];
+            if (endings) {
+                const stem = lemma.slice(0, -2);
+                const participle = stem + endings.participle;
+                [participle, feminineForm(participle), ...pluralForms(participle), ...pluralForms(feminineForm(participle))]
+                    .forEach(form => this.add(form, id, '过去分词'));
+                this.add(stem + endings.gerund, id, '副动词');
+            }
+            return;
+        }
+
+        pluralForms(lemma).forEach(form => this.add(form, id, '复数'));
+        const feminine = feminineForm(lemma);
+        if (feminine) {
+            this.add(feminine, id, '阴性');
+            pluralForms(feminine).forEach(form => this.add(form, id, '阴性复数'));
+        }
+    },
+    build: function(dict) {
+        this._map = new Map();
+        Object.entries(dict).forEach(([id, entry]) => this.addEntry(id, entry));
+    },
+    // 所有可能的来源：[{ id, form, description }]，description 为 null 表示就是原形
+    matches: function(word) {
+        return this._map.get(this.key(word)) || [];
+    },
+    // 带重音完全一致的词形优先，其次是原形；返回 { id, form, description, entry }
+    lookup: function(word) {
+        const list = this.matches(word);
+        if (list.length === 0) return null;
+        const lower = word.trim().toLowerCase();
+        const rank = item => (item.form === lower ? 0 : 2) + (item.description === null ? 0 : 1);
+        const best = [...list].sort((a, b) => rank(a) - rank(b))[0];
+        return globalDict[best.id] ? { ...best, entry: { ...globalDict[best.id], id: best.id } } : null;
+    }
+};
+
+// 词典内容变化后（载入、导入、更新词书）重建查词与搜索索引
+function buildDictionaryIndexes() {
+    InflectionIndex.build(globalDict);
+    SearchIndex.build(globalDict);
+}
+
+let popupWordId = null; // 弹窗当前展示的词条，供收藏与加入单词本使用
+
+// wordId 可选：搜索结果等已知词条时直接打开，避免同形词只能查到第一条
+window.showWordPopup = function(wordStr, wordId) {
     const cleanWord = wordStr.toLowerCase().trim();
-    let foundWordObj = Object.values(globalDict).find(w => w.pt.toLowerCase() === cleanWord);
+    const match = wordId && globalDict[wordId]
+        ? { id: wordId, form: cleanWord, description: null, entry: { ...globalDict[wordId], id: wordId } }
+        : InflectionIndex.lookup(cleanWord);
+    let foundWordObj = match ? match.entry : null;
+    popupWordId = foundWordObj ? foundWordObj.id : null;
+    syncStarIcon(document.getElementById('wp-star'), popupWordId);
+    document.getElementById('wp-star').classList.toggle('hidden', !popupWordId);
+    document.getElementById('wp-add-to-notebook').classList.toggle('hidden', !popupWordId);
+    document.getElementById('wp-edit').classList.toggle('hidden', !popupWordId);
+    document.getElementById('wp-edited').classList.toggle('hidden', !popupWordId || !StorageManager.getDictOverrides()[popupWordId]);
+    const inflectionEl = document.getElementById('wp-inflection');
+    inflectionEl.classList.toggle('hidden', !match || match.description === null);
+    if (match && match.description !== null) inflectionEl.innerText = `${cleanWord} → ${foundWordObj.pt}（${match.description}）`;
 
     if (foundWordObj) {
         document.getElementById('wp-word').innerText = foundWordObj.pt;
         document.getElementById('wp-phonetic').innerText = foundWordObj.phonetic || '';
         let meaningsHtml = '';
-        if (foundWordObj.meanings && foundWordObj.meanings.length > 0) {
+        // 用户改过中文释义时以改过的为准，不再列出词典原有的分义项释义
+        if (foundWordObj.meanings && foundWordObj.meanings.length > 0 && !isFieldEdited(foundWordObj.id, 'zh')) {
             foundWordObj.meanings.forEach(m => {
                 meaningsHtml += `<div class="wp-meaning-line"><span class="wp-pos">${m.pos}</span>${m.zhDef || m.zh}</div>`;
             });
@@ -1347,28 +2937,34 @@ document.getElementById('word-popup-overlay').addEventListener('click', () => {
 
 // 1. 进入复习模式 (带有真实的时间过滤器)
 document.querySelector('.nav-card:nth-child(2)').addEventListener('click', () => {
-    if (globalVocabularyData.length === 0) { alert("请先到词库选择一本词书哦！"); return; }
+    if (StorageManager.getActiveBooks().length === 0) { alert("请先到词库选择一本词书哦！"); return; }
     
+    // 所有在学词书的到期单词混在一起复习
     const progressData = StorageManager.getProgress();
     const now = Date.now();
-    const toReview = globalVocabularyData.filter(word => {
-        const p = progressData[word.id];
+    const toReview = getActiveVocabulary().filter(word => {
+        const p = progressData[getProgressKey(word)];
         return p && p.isLearned && p.nextReviewDate <= now; // 到了复习时间才拿出来
     });
     
     if (toReview.length === 0) { alert("🎉 恭喜！今天没有需要复习的单词，去学点新词吧！"); return; }
-    
+    startReviewSession(toReview, views.home);
+});
+
+// 开始一轮复习：words 为到期的单词，fromView 为发起复习的页面（首页或单词本）
+function startReviewSession(words, fromView) {
     isReviewMode = true;
-    window.currentReviewWords = toReview; 
-    learningQueue = toReview.map(word => ({ ...word, stage: -1 })); 
+    reviewReturnView = fromView;
+    window.currentReviewWords = words; 
+    learningQueue = words.map(word => ({ ...word, stage: -1 })); 
     totalWords = learningQueue.length;
     learnedCount = 0;
 
     applyBackgroundContext('learning-blur');
-    views.home.classList.replace('active', 'hidden');
+    fromView.classList.replace('active', 'hidden');
     views.learning.classList.replace('hidden', 'active');
     loadNextState();
-});
+}
 
 // 2. 认识按钮
 document.getElementById('btn-rev-know').addEventListener('click', () => {
@@ -1377,9 +2973,11 @@ document.getElementById('btn-rev-know').addEventListener('click', () => {
     setTimeout(() => { loadNextState(); }, 150);
 });
 
-// 3. 统一复习失败处理机制
+// 3. 统一复习失败处理机制（模糊记为 HARD，忘记/记错记为 AGAIN，均需在本轮重新学习）
+const REVIEW_FAIL_GRADES = { blur: REVIEW_GRADES.HARD, forget: REVIEW_GRADES.AGAIN, wrong: REVIEW_GRADES.AGAIN };
+
 window.handleReviewFail = function(reason) {
-    StorageManager.updateReviewResult(currentWordObj.id, false);
+    StorageManager.updateReviewResult(getProgressKey(currentWordObj), REVIEW_FAIL_GRADES[reason] || REVIEW_GRADES.AGAIN, currentWordObj.bookId);
     currentWordObj.stage = 0; 
     learningQueue.push(currentWordObj); 
     
@@ -1406,7 +3004,7 @@ document.getElementById('btn-rev-wrong').addEventListener('click', () => window.
 
 // 4. 核对成功
 document.getElementById('btn-rev-next').addEventListener('click', () => {
-    StorageManager.updateReviewResult(currentWordObj.id, true);
+    StorageManager.updateReviewResult(getProgressKey(currentWordObj), REVIEW_GRADES.GOOD, currentWordObj.bookId);
     learnedCount++;
     setTimeout(() => loadNextState(), 150);
 });
@@ -1476,6 +3074,14 @@ if (btnContentBack && foldersView) {
     });
 }
 
+// 5. "我的内容"听写卡片 -> 进入听写
+document.getElementById('btn-dictation-words').addEventListener('click', () => {
+    startDictation('word', document.getElementById('folders-view'));
+});
+document.getElementById('btn-dictation-sentences').addEventListener('click', () => {
+    startDictation('sentence', document.getElementById('folders-view'));
+});
+
 /* ================= 附加逻辑：在学词书列表页 & 沉浸刷题交互 ================= */
 
 // DOM 节点绑定
@@ -1487,6 +3093,12 @@ const btnEnterImmersiveBrush = document.getElementById('btn-enter-immersive-brus
 const viewImmersiveBrush = document.getElementById('immersive-brush-view');
 const btnBackFromBrush = document.getElementById('btn-back-from-brush');
 
+if (document.getElementById('btn-float-dictation')) {
+    document.getElementById('btn-float-dictation').addEventListener('click', () => {
+        startDictation('word', viewActiveBookList);
+    });
+}
+
 // 路由 1：从“我的内容(folders-view)” 进入 “在学词书列表页”
 if (btnOpenActiveBook) {
     btnOpenActiveBook.addEventListener('click', () => {
@@ -1575,3 +3187,2871 @@ if (ibvClickArea) {
         }
     });
 }
+
+// ================= JS 序列 18：学习备份导出与导入 =================
+const btnMenuExport = document.getElementById('btn-menu-export');
+const btnMenuImport = document.getElementById('btn-menu-import');
+const backupFileInput = document.getElementById('backup-file-input');
+let pendingBackupData = null;
+
+// 差异摘要中「其他内容」的显示名
+const BACKUP_BLOCK_LABELS = { bookSettings: '词书设置', activeBooks: '在学词书', learnSettings: '学习设置', audioSettings: '发音设置', listenSettings: '随身听设置', customDict: '导入词条', customBooks: '导入词书', collections: '单词本', sentences: '句库', notes: '笔记', dictOverrides: '词条修改' };
+
+if (btnMenuExport) {
+    btnMenuExport.addEventListener('click', async () => {
+        dashboardMoreMenu.classList.add('hidden');
+        saveCurrentSessionProgress();
+        await StorageManager.flush();
+        downloadJSONFile(`splendid-backup-${getTodayDateKey()}.json`, StorageManager.exportSnapshot());
+        window.showToast("备份文件已导出");
+    });
+}
+
+if (btnMenuImport && backupFileInput) {
+    btnMenuImport.addEventListener('click', () => {
+        dashboardMoreMenu.classList.add('hidden');
+        backupFileInput.value = '';
+        backupFileInput.click();
+    });
+
+    backupFileInput.addEventListener('change', async () => {
+        const file = backupFileInput.files[0];
+        if (!file) return;
+        try {
+            const snapshot = JSON.parse(await file.text());
+            pendingBackupData = StorageManager.parseSnapshot(snapshot);
+            renderBackupDiff(pendingBackupData, snapshot.exportedAt);
+            openSheet('backup-import-modal');
+        } catch (error) {
+            pendingBackupData = null;
+            alert(`导入失败：${error instanceof SyntaxError ? '文件不是合法的 JSON' : error.message}`);
+        }
+    });
+}
+
+// 对比备份与本地数据，生成导入前的差异摘要
+function renderBackupDiff(data, exportedAt) {
+    const localProgress = StorageManager.getProgress();
+    const incomingProgress = data.progress || {};
+    let added = 0, newer = 0, older = 0;
+    Object.keys(incomingProgress).forEach(id => {
+        const local = localProgress[id];
+        if (!local) added++;
+        else if ((incomingProgress[id].nextReviewDate || 0) > (local.nextReviewDate || 0)) newer++;
+        else if ((incomingProgress[id].nextReviewDate || 0) < (local.nextReviewDate || 0)) older++;
+    });
+    const onlyLocal = Object.keys(localProgress).filter(id => !incomingProgress[id]).length;
+
+    const localDates = StorageManager.getStats().dates;
+    const incomingDates = (data.stats && data.stats.dates) || [];
+    const newDates = incomingDates.filter(d => !localDates.includes(d)).length;
+
+    const localBook = StorageManager.getCurrentBook();
+    const incomingBook = data.currentBook;
+
+    const extraKeys = Object.keys(data).filter(key => !['progress', 'stats', 'currentBook'].includes(key));
+    const extraText = extraKeys.map(key => `${escapeHTML(BACKUP_BLOCK_LABELS[key] || key)} ${Object.keys(data[key] || {}).length} 项`).join('，') || '无';
+
+    document.getElementById('backup-diff-summary').innerHTML = `
+        <div class="sheet-row"><span>备份时间</span><span class="muted">${exportedAt ? new Date(exportedAt).toLocaleString() : '未知'}</span></div>
+        <div class="sheet-row"><span>单词进度</span><span class="muted">备份 ${Object.keys(incomingProgress).length} / 本地 ${Object.keys(localProgress).length}</span></div>
+        <div class="sheet-row"><span>本地没有的单词</span><span>${added}</span></div>
+        <div class="sheet-row"><span>备份中复习进度更新</span><span>${newer}</span></div>
+        <div class="sheet-row"><span>本地复习进度更新</span><span>${older}</span></div>
+        <div class="sheet-row"><span>仅本地存在</span><span>${onlyLocal}</span></div>
+        <div class="sheet-row"><span>新增签到天数</span><span>${newDates}</span></div>
+        <div class="sheet-row"><span>在学词书</span><span class="muted">${incomingBook ? escapeHTML(incomingBook.title) : '无'}${localBook ? `（本地：${escapeHTML(localBook.title)}）` : ''}</span></div>
+        <div class="sheet-row"><span>其他内容</span><span class="muted">${extraText}</span></div>
+        <p class="muted" style="margin-top: 12px; font-size: 0.8rem;">合并：同一单词保留复习日期更晚的记录；覆盖：本地数据将被备份完全替换。</p>
+    `;
+}
+
+async function applyBackupImport(mode) {
+    if (!pendingBackupData) return;
+    if (mode === 'replace' && !confirm("覆盖后本地学习记录将被备份完全替换，确定继续吗？")) return;
+
+    const saved = await StorageManager.importSnapshot(pendingBackupData, mode);
+    pendingBackupData = null;
+    closeSheet('backup-import-modal');
+
+    composeGlobalDict(Object.assign(globalDict, dictOriginals)); // 先还原被修改的词条，再按导入后的数据重新叠加
+    buildDictionaryIndexes();
+    await loadActiveBooks();
+    const book = StorageManager.getCurrentBook();
+    if (book) {
+        await loadVocabularyBook(book.fileName, book.title);
+        updateDashboardBookUI(book);
+    }
+    renderLibrary();
+    renderDashboardData();
+    updateHomeCounts();
+    window.showToast(saved ? (mode === 'replace' ? "已用备份覆盖本地数据" : "备份已合并") : "导入完成，但保存到本地失败");
+}
+
+document.getElementById('btn-import-merge').addEventListener('click', () => applyBackupImport('merge'));
+document.getElementById('btn-import-replace').addEventListener('click', () => applyBackupImport('replace'));
+document.getElementById('btn-import-cancel').addEventListener('click', () => {
+    pendingBackupData = null;
+    closeSheet('backup-import-modal');
+});
+
+// ================= JS 序列 19：Anki / CSV 词库导入 =================
+// 全部在本地解析：CSV/TSV 直接读文本；.apkg 是 zip 包，内含 Anki 的 SQLite 数据库
+
+// 1. 导入字段：与 global_dict.json 的词条结构对应
+const DECK_IMPORT_FIELDS = [
+    { key: '', label: '忽略' },
+    { key: 'pt', label: '葡语单词', guess: /^(pt|word|front|palavra|葡语|单词|正面)$/i },
+    { key: 'zh', label: '中文释义', guess: /^(zh|back|meaning|chinese|中文|释义|背面|意思)$/i },
+    { key: 'pos', label: '词性', guess: /^(pos|词性|classe)$/i },
+    { key: 'phonetic', label: '音标', guess: /^(phonetic|ipa|音标|pronúncia|pronuncia)$/i },
+    { key: 'examplePt', label: '例句(葡)', guess: /^(example|sentence|例句|exemplo|frase)$/i },
+    { key: 'exampleZh', label: '例句(中)', guess: /^(example_?zh|translation|例句翻译|译文|tradução)$/i },
+    { key: 'enDef', label: '英文释义', guess: /^(english|en|definition|英文|英文释义)$/i },
+    { key: 'phrases', label: '词组搭配', guess: /^(phrases?|词组|搭配)$/i },
+    { key: 'derivatives', label: '派生', guess: /^(derivatives?|派生)$/i },
+    { key: 'roots', label: '词根', guess: /^(roots?|etymology|词根)$/i },
+    { key: 'synonyms', label: '近义', guess: /^(synonyms?|近义|近义词)$/i },
+    { key: 'antonyms', label: '反义', guess: /^(antonyms?|反义|反义词)$/i }
+];
+const DECK_LIST_FIELDS = ['phrases', 'derivatives', 'roots', 'synonyms', 'antonyms'];
+
+// 2. CSV / TSV：自动识别分隔符，支持双引号包裹与转义
+function parseDelimitedText(text) {
+    text = text.replace(/^﻿/, '');
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    const delimiter = ['\t', ';', ','].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(cell => cell.trim() !== '')) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(cell => cell.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+// 3. 极简 zip 读取：通过中央目录定位文件，deflate 交给浏览器原生 DecompressionStream
+const ZipReader = {
+    listEntries: function(buffer) {
+        const view = new DataView(buffer);
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd < 0) throw new Error('文件不是有效的 zip 压缩包');
+
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        const entries = {};
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+            const nameLen = view.getUint16(offset + 28, true);
+            const extraLen = view.getUint16(offset + 30, true);
+            const commentLen = view.getUint16(offset + 32, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLen));
+            entries[name] = {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true)
+            };
+            offset += 46 + nameLen + extraLen + commentLen;
+        }
+        return entries;
+    },
+    readEntry: async function(buffer, entry) {
+        const view = new DataView(buffer);
+        const nameLen = view.getUint16(entry.localOffset + 26, true);
+        const extraLen = view.getUint16(entry.localOffset + 28, true);
+        const start = entry.localOffset + 30 + nameLen + extraLen;
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+        if (entry.method === 0) return data.slice().buffer;
+        if (entry.method !== 8) throw new Error('不支持的压缩格式');
+        if (!('DecompressionStream' in window)) throw new Error('当前浏览器不支持解压 .apkg，请改用 CSV 导入');
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer();
+    }
+};
+
+// 4. 只读 SQLite 解析：遍历表 B-tree，解码记录，足以读出 Anki 的 notes / col 表
+const SQLiteReader = {
+    open: function(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (new TextDecoder().decode(bytes.subarray(0, 15)) !== 'SQLite format 3') throw new Error('数据库文件已损坏');
+        const view = new DataView(buffer);
+        let pageSize = view.getUint16(16);
+        if (pageSize === 1) pageSize = 65536;
+        return { bytes, view, pageSize, usable: pageSize - bytes[20], decoder: new TextDecoder('utf-8') };
+    },
+    readVarint: function(bytes, pos) {
+        let value = 0;
+        for (let i = 0; i < 9; i++) {
+            const b = bytes[pos + i];
+            if (i === 8) return [value * 256 + b, 9];
+            value = value * 128 + (b & 0x7f);
+            if (b < 0x80) return [value, i + 1];
+        }
+        return [value, 9];
+    },
+    // 超出页内容量的记录会溢出到链式 overflow 页
+    readPayload: function(db, pos, size) {
+        const U = db.usable;
+        const X = U - 35;
+        if (size <= X) return db.bytes.subarray(pos, pos + size);
+        const M = Math.floor((U - 12) * 32 / 255) - 23;
+        const K = M + ((size - M) % (U - 4));
+        const local = K <= X ? K : M;
+
+        const out = new Uint8Array(size);
+        out.set(db.bytes.subarray(pos, pos + local), 0);
+        let written = local;
+        let next = db.view.getUint32(pos + local);
+        while (next && written < size) {
+            const base = (next - 1) * db.pageSize;
+            const n = Math.min(U - 4, size - written);
+            out.set(db.bytes.subarray(base + 4, base + 4 + n), written);
+            written += n;
+            next = db.view.getUint32(base);
+        }
+        return out;
+    },
+    decodeRecord: function(db, payload) {
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        const [headerSize, hLen] = this.readVarint(payload, 0);
+        const types = [];
+        let p = hLen;
+        while (p < headerSize) {
+            const [t, n] = this.readVarint(payload, p);
+            types.push(t); p += n;
+        }
+        let d = headerSize;
+        return types.map(t => {
+            let value = null;
+            switch (t) {
+                case 0: break;
+                case 1: value = view.getInt8(d); d += 1; break;
+                case 2: value = view.getInt16(d); d += 2; break;
+                case 3: value = (view.getInt8(d) << 16) | view.getUint16(d + 1); d += 3; break;
+                case 4: value = view.getInt32(d); d += 4; break;
+                case 5: value = view.getInt16(d) * 4294967296 + view.getUint32(d + 2); d += 6; break;
+                case 6: value = view.getInt32(d) * 4294967296 + view.getUint32(d + 4); d += 8; break;
+                case 7: value = view.getFloat64(d); d += 8; break;
+                case 8: value = 0; break;
+                case 9: value = 1; break;
+                default: {
+                    const len = t >= 12 && t % 2 === 0 ? (t - 12) / 2 : (t - 13) / 2;
+                    const chunk = payload.subarray(d, d + len);
+                    value = t % 2 === 0 ? chunk : db.decoder.decode(chunk);
+                    d += len;
+                }
+            }
+            return value;
+        });
+    },
+    readTable: function(db, rootPage) {
+        const rows = [];
+        const visit = (pageNo) => {
+            const base = (pageNo - 1) * db.pageSize;
+            const hdr = pageNo === 1 ? base + 100 : base;
+            const type = db.bytes[hdr];
+            const cellCount = db.view.getUint16(hdr + 3);
+            const isInterior = type === 0x05;
+            if (!isInterior && type !== 0x0d) return;
+            for (let i = 0; i < cellCount; i++) {
+                const pos = base + db.view.getUint16(hdr + (isInterior ? 12 : 8) + i * 2);
+                if (isInterior) {
+                    visit(db.view.getUint32(pos));
+                } else {
+                    const [size, l1] = this.readVarint(db.bytes, pos);
+                    const [rowid, l2] = this.readVarint(db.bytes, pos + l1);
+                    rows.push({ rowid, values: this.decodeRecord(db, this.readPayload(db, pos + l1 + l2, size)) });
+                }
+            }
+            if (isInterior) visit(db.view.getUint32(hdr + 8));
+        };
+        visit(rootPage);
+        return rows;
+    },
+    // 读整张表为对象数组；INTEGER PRIMARY KEY 列以 rowid 补齐
+    readTableByName: function(db, tableName) {
+        const master = this.readTable(db, 1).find(r => r.values[0] === 'table' && r.values[1] === tableName);
+        if (!master) return null;
+        const body = master.values[4].substring(master.values[4].indexOf('(') + 1, master.values[4].lastIndexOf(')'));
+        const columns = body.split(',').map(def => def.trim().split(/\s+/)[0].replace(/["`\[\]]/g, ''));
+        return this.readTable(db, master.values[3]).map(row => {
+            let obj = {};
+            columns.forEach((col, idx) => { obj[col] = row.values[idx] === null && idx === 0 ? row.rowid : row.values[idx]; });
+            return obj;
+        });
+    }
+};
+
+// 5. 字段清洗：去掉 Anki 的音频标记与 HTML，只保留例句里的加粗
+function cleanImportedField(raw, keepStrong) {
+    let text = String(raw === undefined || raw === null ? '' : raw)
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\s*(b|strong)\s*>/gi, '\u0001').replace(/<\s*\/\s*(b|strong)\s*>/gi, '\u0002')
+        .replace(/<[^>]*>/g, '');
+    text = new DOMParser().parseFromString(`<!doctype html><body>${text.replace(/</g, '&lt;')}`, 'text/html').body.textContent;
+    text = text.replace(/[<>]/g, '').trim();
+    return keepStrong ? text.replace(/\u0001/g, '<strong>').replace(/\u0002/g, '</strong>') : text.replace(/[\u0001\u0002]/g, '');
+}
+
+async function readAnkiDeck(buffer) {
+    const entries = ZipReader.listEntries(buffer);
+    // 新版导出里的 collection.anki2 只是一张提示升级的占位卡片，真正的数据在 collection.anki21b 中
+    if (entries['collection.anki21b']) throw new Error('该牌组为新版 Anki 格式，请在 Anki 导出时勾选「兼容旧版本」');
+    const dbName = ['collection.anki21', 'collection.anki2'].find(name => entries[name]);
+    if (!dbName) throw new Error('压缩包中没有找到 Anki 数据库');
+    const db = SQLiteReader.open(await ZipReader.readEntry(buffer, entries[dbName]));
+    const notes = SQLiteReader.readTableByName(db, 'notes') || [];
+    if (notes.length === 0) throw new Error('牌组中没有笔记');
+
+    // 字段名来自笔记类型定义，取使用最多的那种笔记类型
+    let fieldNames = [];
+    const col = (SQLiteReader.readTableByName(db, 'col') || [])[0];
+    const midCount = {};
+    notes.forEach(n => { midCount[n.mid] = (midCount[n.mid] || 0) + 1; });
+    const mainMid = Object.keys(midCount).sort((a, b) => midCount[b] - midCount[a])[0];
+    try {
+        const models = JSON.parse(col.models);
+        fieldNames = models[mainMid].flds.sort((a, b) => a.ord - b.ord).map(f => f.name);
+    } catch (e) {
+        fieldNames = [];
+    }
+
+    const rows = notes.filter(n => String(n.mid) === mainMid).map(n => String(n.flds).split('\x1f'));
+    const width = Math.max(fieldNames.length, ...rows.map(r => r.length));
+    return {
+        headers: Array.from({ length: width }, (_, i) => fieldNames[i] || `字段 ${i + 1}`),
+        rows: rows,
+        hasHeaderRow: false,
+        kind: 'ANKI'
+    };
+}
+
+function readDelimitedDeck(text) {
+    const rows = parseDelimitedText(text);
+    if (rows.length === 0) throw new Error('文件中没有数据');
+    const width = Math.max(...rows.map(r => r.length));
+    // 首行只要能匹配到任一字段名，就当作标题行
+    const looksLikeHeader = rows[0].some(cell => DECK_IMPORT_FIELDS.some(f => f.guess && f.guess.test(cell.trim())));
+    return {
+        headers: Array.from({ length: width }, (_, i) => looksLikeHeader && rows[0][i] ? rows[0][i].trim() : `第 ${i + 1} 列`),
+        rows: looksLikeHeader ? rows.slice(1) : rows,
+        hasHeaderRow: looksLikeHeader,
+        kind: 'CSV'
+    };
+}
+
+// 6. 列映射弹层
+const btnImportDeck = document.getElementById('btn-import-deck');
+const deckFileInput = document.getElementById('deck-file-input');
+let pendingDeck = null;
+
+function guessDeckField(header, index) {
+    const match = DECK_IMPORT_FIELDS.find(f => f.guess && f.guess.test(header.trim()));
+    if (match) return match.key;
+    return index === 0 ? 'pt' : index === 1 ? 'zh' : '';
+}
+
+function renderDeckMapping() {
+    const used = new Set();
+    document.getElementById('deck-import-meta').innerText = `共 ${pendingDeck.rows.length} 条记录，请为每一列选择对应的字段`;
+    document.getElementById('deck-import-columns').innerHTML = pendingDeck.headers.map((header, idx) => {
+        let guess = guessDeckField(header, idx);
+        if (guess && used.has(guess)) guess = '';
+        if (guess) used.add(guess);
+        const sample = pendingDeck.rows.slice(0, 2).map(r => cleanImportedField(r[idx])).filter(Boolean).join(' / ');
+        const options = DECK_IMPORT_FIELDS.map(f => `<option value="${f.key}" ${f.key === guess ? 'selected' : ''}>${f.label}</option>`).join('');
+        return `
+            <div class="import-column">
+                <div class="import-column-info">
+                    <span>${escapeHTML(header)}</span>
+                    <span class="muted">${escapeHTML(sample.length > 24 ? sample.substring(0, 24) + '...' : sample)}</span>
+                </div>
+                <select data-col="${idx}">${options}</select>
+            </div>
+        `;
+    }).join('');
+}
+
+// 生成不与现有词典冲突的 ID（内置词条为 pt_ / enem_ 前缀，导入词条统一使用 usr_ 前缀）
+function createImportedWordId(deckKey, index) {
+    let n = index + 1;
+    let id;
+    do {
+        id = `usr_${deckKey}_${String(n).padStart(4, '0')}`;
+        n++;
+    } while (globalDict[id]);
+    return id;
+}
+
+function buildImportedEntry(row, mapping, sourceTitle) {
+    let fields = {};
+    mapping.forEach((key, idx) => {
+        if (!key) return;
+        if (DECK_LIST_FIELDS.includes(key)) {
+            fields[key] = cleanImportedField(row[idx]).split(/[\n;；|]/).map(t => t.trim()).filter(Boolean);
+        } else {
+            fields[key] = cleanImportedField(row[idx], key === 'examplePt');
+        }
+    });
+    if (!fields.pt || !fields.zh) return null;
+
+    let entry = { pt: fields.pt, pos: fields.pos || '', zh: fields.zh, phonetic: fields.phonetic || '' };
+    DECK_LIST_FIELDS.forEach(key => { if (fields[key] && fields[key].length) entry[key] = fields[key]; });
+    entry.example = { pt: fields.examplePt || '', zh: fields.exampleZh || '' };
+    if (fields.examplePt || fields.enDef) {
+        entry.meanings = [{
+            pos: entry.pos,
+            enDef: fields.enDef || '',
+            zhDef: entry.zh,
+            examples: fields.examplePt ? [{ source: sourceTitle, pt: fields.examplePt, zh: fields.exampleZh || '' }] : []
+        }];
+    }
+    return entry;
+}
+
+if (btnImportDeck && deckFileInput) {
+    btnImportDeck.addEventListener('click', () => {
+        deckFileInput.value = '';
+        deckFileInput.click();
+    });
+
+    deckFileInput.addEventListener('change', async () => {
+        const file = deckFileInput.files[0];
+        if (!file) return;
+        try {
+            window.showToast("正在解析词库...");
+            pendingDeck = /\.apkg$/i.test(file.name)
+                ? await readAnkiDeck(await file.arrayBuffer())
+                : readDelimitedDeck(await file.text());
+            pendingDeck.fileTitle = file.name.replace(/\.[^.]+$/, '');
+            document.getElementById('deck-import-title').value = pendingDeck.fileTitle;
+            renderDeckMapping();
+            openSheet('deck-import-modal');
+        } catch (error) {
+            pendingDeck = null;
+            alert(`导入失败：${error.message}`);
+        }
+    });
+}
+
+document.getElementById('btn-deck-import-cancel').addEventListener('click', () => {
+    pendingDeck = null;
+    closeSheet('deck-import-modal');
+});
+
+document.getElementById('btn-deck-import-confirm').addEventListener('click', () => {
+    if (!pendingDeck) return;
+    const mapping = Array.from(document.querySelectorAll('#deck-import-columns select')).map(sel => sel.value);
+    if (!mapping.includes('pt') || !mapping.includes('zh')) {
+        alert('请至少为「葡语单词」和「中文释义」各指定一列');
+        return;
+    }
+    const title = document.getElementById('deck-import-title').value.trim() || pendingDeck.fileTitle;
+    const deckKey = Date.now().toString(36);
+
+    let customDict = StorageManager.get('customDict');
+    let wordIds = [];
+    pendingDeck.rows.forEach(row => {
+        const entry = buildImportedEntry(row, mapping, title);
+        if (!entry) return;
+        const id = createImportedWordId(deckKey, wordIds.length);
+        customDict[id] = entry;
+        globalDict[id] = entry;
+        wordIds.push(id);
+    });
+    buildDictionaryIndexes();
+    if (wordIds.length === 0) {
+        alert('没有可导入的词条（每条至少需要葡语单词和中文释义）');
+        return;
+    }
+
+    const covers = ['cover-blue', 'cover-green', 'cover-purple'];
+    let customBooks = StorageManager.get('customBooks');
+    const fileName = `custom_${deckKey}`;
+    customBooks[fileName] = {
+        fileName,
+        title,
+        description: `从 ${pendingDeck.kind === 'ANKI' ? 'Anki 牌组' : '表格'} 导入`,
+        coverClass: covers[Object.keys(customBooks).length % covers.length],
+        coverText: pendingDeck.kind === 'ANKI' ? 'ANKI\\nDECK' : 'MY\\nDECK',
+        wordIds,
+        createdAt: Date.now()
+    };
+    StorageManager.set('customDict', customDict);
+    StorageManager.set('customBooks', customBooks);
+
+    pendingDeck = null;
+    closeSheet('deck-import-modal');
+    renderLibrary();
+    window.showToast(`已导入 ${wordIds.length} 个词条`);
+});
+
+
+// ================= JS 序列 20：多本在学词书、每日学习计划与分组 =================
+
+const PLAN_ORDER_LABELS = { sequential: '顺序', random: '随机', errors: '按错误次数' };
+
+function renderActiveBookPlans() {
+    const container = document.getElementById('active-books-plans');
+    const activeBooks = StorageManager.getActiveBooks();
+    if (activeBooks.length === 0) {
+        container.innerHTML = '<p class="muted">还没有在学的词书，去词库添加一本吧～</p>';
+        return;
+    }
+
+    const progressData = StorageManager.getProgress();
+    const todayKey = getTodayDateKey();
+    container.innerHTML = activeBooks.map(bookId => {
+        const book = BookRegistry.get(bookId);
+        const words = activeBookData[bookId] || [];
+        const settings = StorageManager.getBookSettings(bookId);
+        const learned = words.filter(w => progressData[getProgressKey(w)]?.isLearned).length;
+        const learnedToday = words.filter(w => progressData[getProgressKey(w)]?.learnedDate === todayKey).length;
+        const orderOptions = Object.keys(PLAN_ORDER_LABELS).map(key =>
+            `<option value="${key}" ${settings.order === key ? 'selected' : ''}>${PLAN_ORDER_LABELS[key]}</option>`
+        ).join('');
+        const directionOptions = Object.keys(CARD_DIRECTIONS).map(key =>
+            `<option value="${key}" ${settings.direction === key ? 'selected' : ''}>${CARD_DIRECTIONS[key]}</option>`
+        ).join('');
+
+        return `
+            <div class="plan-book" data-book-id="${escapeHTML(bookId)}">
+                <div class="plan-book-head">
+                    <span class="plan-book-title">${escapeHTML(book ? book.title : bookId)}</span>
+                    <i class="fa-solid fa-xmark plan-book-remove" title="移出在学词书"></i>
+                </div>
+                <div class="muted">已学 ${learned} / ${words.length}，今日新学 ${learnedToday} / ${settings.dailyNew}</div>
+                <div class="plan-book-controls">
+                    <span class="muted">每日新词</span>
+                    <input type="number" class="plan-daily-new" min="1" max="500" value="${settings.dailyNew}">
+                    <select class="plan-order">${orderOptions}</select>
+                    <select class="plan-direction">${directionOptions}</select>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+document.getElementById('btn-open-plans').addEventListener('click', () => {
+    document.getElementById('plan-group-size').value = StorageManager.getLearnSettings().groupSize;
+    document.getElementById('plan-cloze-stage').value = StorageManager.getLearnSettings().clozeStage ? 'on' : 'off';
+    document.getElementById('plan-spelling-mode').innerHTML = Object.keys(SPELLING_MODES).map(mode =>
+        `<option value="${mode}" ${StorageManager.getLearnSettings().spellingMode === mode ? 'selected' : ''}>${SPELLING_MODES[mode]}</option>`
+    ).join('');
+    renderActiveBookPlans();
+    openSheet('active-books-modal');
+});
+
+document.getElementById('plan-group-size').addEventListener('change', (e) => {
+    StorageManager.saveLearnSettings({ groupSize: parseInt(e.target.value, 10) || 10 });
+});
+
+document.getElementById('plan-spelling-mode').addEventListener('change', (e) => {
+    StorageManager.saveLearnSettings({ spellingMode: e.target.value });
+});
+
+document.getElementById('active-books-plans').addEventListener('change', async (e) => {
+    const row = e.target.closest('.plan-book');
+    if (!row) return;
+    const bookId = row.dataset.bookId;
+
+    if (e.target.classList.contains('plan-daily-new')) {
+        const dailyNew = Math.min(500, Math.max(1, parseInt(e.target.value, 10) || 1));
+        StorageManager.saveBookSettings(bookId, { dailyNew });
+    } else if (e.target.classList.contains('plan-order')) {
+        StorageManager.saveBookSettings(bookId, { order: e.target.value });
+    } else if (e.target.classList.contains('plan-direction')) {
+        // 切换方向后重新组装单词，让进度改读另一方向的排期
+        StorageManager.saveBookSettings(bookId, { direction: e.target.value });
+        activeBookData[bookId] = await buildBookWords(bookId);
+        const currentBook = StorageManager.getCurrentBook();
+        if (currentBook && currentBook.fileName === bookId) globalVocabularyData = activeBookData[bookId];
+        updateHomeCounts();
+    }
+    renderActiveBookPlans();
+});
+
+document.getElementById('active-books-plans').addEventListener('click', (e) => {
+    if (!e.target.classList.contains('plan-book-remove')) return;
+    const bookId = e.target.closest('.plan-book').dataset.bookId;
+    if (!confirm("移出后不再出新词和复习，已有进度会保留，确定吗？")) return;
+
+    StorageManager.removeActiveBook(bookId);
+    delete activeBookData[bookId];
+    renderActiveBookPlans();
+    updateHomeCounts();
+});
+
+document.getElementById('btn-plans-done').addEventListener('click', () => {
+    closeSheet('active-books-modal');
+    updateHomeCounts();
+});
+
+document.getElementById('btn-plans-add-book').addEventListener('click', () => {
+    closeSheet('active-books-modal');
+    document.getElementById('dashboard-view').classList.replace('active', 'hidden');
+    document.getElementById('library-view').classList.replace('hidden', 'active');
+});
+
+
+// ================= JS 序列 21：离线单词包、词书更新与安装 =================
+
+const OFFLINE_BOOK_CACHE = 'splendid-books-v1'; // 与 sw.js 中的 BOOK_CACHE 保持一致
+const OFFLINE_SHELL_CACHE = 'splendid-shell-v1'; // 与 sw.js 中的 SHELL_CACHE 保持一致
+const DICT_FILE = 'global_dict.json';
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+}
+
+// 词书内容指纹：浏览器支持时用 SHA-256，否则退回 FNV-1a
+async function hashText(text) {
+    if (window.crypto && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return fnv1a(text);
+}
+
+// 绕过缓存直接下载，边下边回报进度 onProgress(0~1)
+async function fetchTextWithProgress(url, onProgress) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`${url} 下载失败`);
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body || !response.body.getReader) {
+        const text = await response.text();
+        onProgress(1);
+        return text;
+    }
+
+    const reader = response.body.getReader();
+    let chunks = [], received = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        if (total) onProgress(Math.min(received / total, 1));
+    }
+    let bytes = new Uint8Array(received), offset = 0;
+    chunks.forEach(chunk => { bytes.set(chunk, offset); offset += chunk.length; });
+    onProgress(1);
+    return new TextDecoder().decode(bytes);
+}
+
+// 一本词书的指纹：词书文件 + 它用到的词条，任何一处变动都会被发现
+function computeBookHash(bookText, dict) {
+    let ids = [];
+    try { ids = JSON.parse(bookText); } catch (e) {}
+    return hashText(bookText + JSON.stringify(ids.map(id => dict[id] || null)));
+}
+
+function setOfflineProgress(title, fraction, status) {
+    document.getElementById('offline-download-title').innerText = title;
+    document.getElementById('offline-download-fill').style.width = `${Math.round(fraction * 100)}%`;
+    document.getElementById('offline-download-status').innerText = status;
+}
+
+// 下载若干本内置词书（连同总词典）写入离线缓存，并记录各自的指纹
+// 词书文件固定在 BOOK_CACHE；总词典放进外壳缓存，仍由 Service Worker 在后台更新，
+// 否则之后新增或更新的词书会对着一份旧词典查词
+async function downloadBooksOffline(books) {
+    const canCache = 'caches' in window;
+    const cache = canCache ? await caches.open(OFFLINE_BOOK_CACHE) : null;
+    const dictCache = canCache ? await caches.open(OFFLINE_SHELL_CACHE) : null;
+    const files = [DICT_FILE, ...books.map(book => book.file)];
+    const step = 1 / files.length;
+    let texts = {};
+
+    openSheet('offline-download-modal');
+    document.getElementById('btn-offline-download-close').innerText = '后台下载';
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const label = file === DICT_FILE ? '总词典' : `《${books[i - 1].title}》`;
+        texts[file] = await fetchTextWithProgress(`./${file}`, (fraction) => {
+            setOfflineProgress('下载离线单词包', (i + fraction) * step, `正在下载${label}（${i + 1}/${files.length}）`);
+        });
+        const target = file === DICT_FILE ? dictCache : cache;
+        if (target) await target.put(`./${file}`, new Response(texts[file], { headers: { 'Content-Type': 'application/json' } }));
+    }
+
+    const dict = JSON.parse(texts[DICT_FILE]);
+
+    // 词条引用的发音文件一并缓存，单个文件失败不影响整体
+    const audioUrls = [...new Set(books.flatMap(book => JSON.parse(texts[book.file]).flatMap(id => AudioManager.listUrls(dict[id]))))];
+    for (let i = 0; cache && i < audioUrls.length; i++) {
+        setOfflineProgress('下载离线单词包', i / audioUrls.length, `正在下载发音（${i + 1}/${audioUrls.length}）`);
+        try {
+            const response = await fetch(audioUrls[i], { cache: 'no-store' });
+            if (response.ok) await cache.put(audioUrls[i], response);
+        } catch (e) {}
+    }
+
+    let offlineBooks = StorageManager.get('offlineBooks');
+    for (const book of books) {
+        offlineBooks[book.id] = {
+            hash: await computeBookHash(texts[book.file], dict),
+            wordCount: JSON.parse(texts[book.file]).length,
+            downloadedAt: Date.now()
+        };
+    }
+    StorageManager.set('offlineBooks', offlineBooks);
+
+    setOfflineProgress('下载离线单词包', 1, canCache ? '下载完成，断网也可以继续学习了' : '已下载，但当前浏览器不支持离线缓存');
+    document.getElementById('btn-offline-download-close').innerText = '完成';
+    return dict;
+}
+
+// 用新下载的数据刷新内存中的词典和词书
+async function reloadBookData(dict) {
+    composeGlobalDict(dict);
+    buildDictionaryIndexes();
+    BookRegistry._wordIdCache = {};
+    await loadActiveBooks();
+    const book = StorageManager.getCurrentBook();
+    if (book) await loadVocabularyBook(book.fileName, book.title);
+    renderLibrary();
+    renderDashboardData();
+    updateHomeCounts();
+}
+
+window.downloadCurrentBookOffline = async function() {
+    const current = StorageManager.getCurrentBook();
+    const book = current && BookRegistry.get(current.fileName);
+    if (!book) { window.showToast("请先选择一本词书"); return; }
+    if (book.custom) { window.showToast("导入的词书本来就保存在本机，无需下载"); return; }
+
+    try {
+        const dict = await downloadBooksOffline([book]);
+        await reloadBookData(dict);
+        window.showToast(`《${book.title}》已可离线使用`);
+    } catch (error) {
+        closeSheet('offline-download-modal');
+        alert(`下载失败：${error.message}，请检查网络后重试`);
+    }
+};
+
+// 版本检查：拉取最新清单，与已下载词书的本地指纹逐本比对
+window.checkBookUpdates = async function() {
+    window.showToast("检查更新中...");
+    try {
+        const manifestRes = await fetch('./books.json', { cache: 'no-store' });
+        if (!manifestRes.ok) throw new Error('找不到词书清单');
+        const manifest = await manifestRes.json();
+        const dict = JSON.parse(await fetchTextWithProgress(`./${DICT_FILE}`, () => {}));
+
+        const knownIds = BookRegistry.manifest.map(book => book.id);
+        const addedBooks = manifest.filter(book => !knownIds.includes(book.id));
+        const offlineBooks = StorageManager.get('offlineBooks');
+        let outdated = [];
+        for (const book of manifest) {
+            const local = offlineBooks[book.id];
+            if (!local) continue;
+            const bookRes = await fetch(`./${book.file}`, { cache: 'no-store' });
+            if (!bookRes.ok) continue;
+            if (await computeBookHash(await bookRes.text(), dict) !== local.hash) outdated.push(book);
+        }
+
+        if (outdated.length === 0) {
+            BookRegistry.manifest = manifest;
+            await reloadBookData(dict);
+            window.showToast(addedBooks.length > 0 ? `词库新增了 ${addedBooks.length} 本词书` : "当前已是最新版本");
+            return;
+        }
+
+        const titles = outdated.map(book => `《${book.title}》`).join('');
+        if (!confirm(`发现 ${outdated.length} 本已下载的词书有更新：${titles}\n现在下载新版本吗？`)) return;
+        BookRegistry.manifest = manifest;
+        const freshDict = await downloadBooksOffline(outdated);
+        await reloadBookData(freshDict);
+        window.showToast("词书已更新到最新版本");
+    } catch (error) {
+        closeSheet('offline-download-modal');
+        window.showToast(navigator.onLine ? "检查更新失败，请稍后再试" : "当前离线，联网后再检查更新");
+    }
+};
+
+document.getElementById('btn-offline-download-close').addEventListener('click', () => {
+    closeSheet('offline-download-modal');
+});
+
+// 安装到主屏幕：浏览器认为可安装时才显示菜单项
+let deferredInstallPrompt = null;
+const btnMenuInstall = document.getElementById('btn-menu-install');
+
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredInstallPrompt = e;
+    btnMenuInstall.classList.remove('hidden');
+});
+
+window.addEventListener('appinstalled', () => {
+    deferredInstallPrompt = null;
+    btnMenuInstall.classList.add('hidden');
+    window.showToast("已安装到主屏幕");
+});
+
+btnMenuInstall.addEventListener('click', async () => {
+    document.getElementById('dashboard-more-menu').classList.add('hidden');
+    if (!deferredInstallPrompt) return;
+    deferredInstallPrompt.prompt();
+    await deferredInstallPrompt.userChoice;
+    deferredInstallPrompt = null;
+    btnMenuInstall.classList.add('hidden');
+});
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js').catch(() => {}); // 注册失败只是没有离线能力，在线使用不受影响
+    });
+}
+
+
+// ================= JS 序列 22：发音设置 =================
+
+const audioAccentSelect = document.getElementById('audio-accent');
+const audioVoiceSelect = document.getElementById('audio-voice');
+const audioRateInput = document.getElementById('audio-rate');
+
+function renderAudioSettings() {
+    const settings = StorageManager.getAudioSettings();
+    audioAccentSelect.innerHTML = Object.keys(AUDIO_ACCENTS).map(accent =>
+        `<option value="${accent}" ${settings.accent === accent ? 'selected' : ''}>${AUDIO_ACCENTS[accent]}</option>`
+    ).join('');
+
+    const voices = AudioManager.getVoices();
+    const selected = AudioManager.pickVoice(settings);
+    audioVoiceSelect.innerHTML = '<option value="">自动选择</option>' + voices.map(v =>
+        `<option value="${escapeHTML(v.voiceURI)}" ${selected && settings.voiceURI === v.voiceURI ? 'selected' : ''}>${escapeHTML(v.name)} (${escapeHTML(v.lang)})</option>`
+    ).join('');
+    if (voices.length === 0) audioVoiceSelect.innerHTML = '<option value="">此设备没有葡语朗读声音</option>';
+
+    audioRateInput.value = settings.rate;
+    document.getElementById('audio-rate-label').innerText = `${Number(settings.rate).toFixed(1)}x`;
+}
+
+document.getElementById('btn-menu-audio').addEventListener('click', () => {
+    dashboardMoreMenu.classList.add('hidden');
+    renderAudioSettings();
+    openSheet('audio-settings-modal');
+});
+
+// 换口音时清掉与新口音不符的声音
+audioAccentSelect.addEventListener('change', () => {
+    const voice = AudioManager.getVoices().find(v => v.voiceURI === StorageManager.getAudioSettings().voiceURI);
+    const keepVoice = voice && voice.lang.replace('_', '-') === audioAccentSelect.value;
+    StorageManager.saveAudioSettings({ accent: audioAccentSelect.value, voiceURI: keepVoice ? voice.voiceURI : '' });
+    renderAudioSettings();
+});
+
+audioVoiceSelect.addEventListener('change', () => {
+    StorageManager.saveAudioSettings({ voiceURI: audioVoiceSelect.value });
+});
+
+audioRateInput.addEventListener('input', () => {
+    const rate = parseFloat(audioRateInput.value) || 1;
+    StorageManager.saveAudioSettings({ rate });
+    document.getElementById('audio-rate-label').innerText = `${rate.toFixed(1)}x`;
+});
+
+document.getElementById('btn-audio-test').addEventListener('click', () => {
+    const sample = currentWordObj || globalVocabularyData[0];
+    if (sample) playAudio(sample);
+    else AudioManager.speak('Olá, tudo bem?');
+});
+
+document.getElementById('btn-audio-done').addEventListener('click', () => {
+    closeSheet('audio-settings-modal');
+});
+
+// 部分浏览器的声音列表是异步加载的
+if ('speechSynthesis' in window) {
+    window.speechSynthesis.addEventListener('voiceschanged', () => {
+        if (!document.getElementById('audio-settings-modal').classList.contains('hidden')) renderAudioSettings();
+    });
+}
+
+
+// ================= JS 序列 23：随身听播放器 =================
+
+const LISTEN_SPEEDS = [0.75, 1, 1.25, 1.5];
+const LISTEN_INTERVALS = [1, 2, 3, 5];
+const LISTEN_MODE_LABELS = { words: '词汇', sentences: '句子' };
+
+// 1 秒的 8-bit 静音 WAV，循环播放让锁屏后系统仍把页面当作媒体播放
+function createSilentAudio() {
+    const sampleRate = 8000;
+    const buffer = new ArrayBuffer(44 + sampleRate);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => { for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i)); };
+    writeText(0, 'RIFF'); view.setUint32(4, 36 + sampleRate, true); writeText(8, 'WAVE');
+    writeText(12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true); view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true); view.setUint32(28, sampleRate, true); view.setUint16(32, 1, true); view.setUint16(34, 8, true);
+    writeText(36, 'data'); view.setUint32(40, sampleRate, true);
+    for (let i = 0; i < sampleRate; i++) view.setUint8(44 + i, 128);
+
+    const audio = new Audio(URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' })));
+    audio.loop = true;
+    return audio;
+}
+
+const ListenPlayer = {
+    mode: 'words',
+    source: [],   // 按原顺序排列的播放内容
+    playlist: [], // 实际播放顺序（随机时打乱）
+    index: 0,
+    playing: false,
+    _session: 0,  // 每次跳转/暂停都换一个会话号，旧的播放循环据此自行退出
+    _silence: null,
+    _returnView: null,
+
+    buildSource: function(sourceKey) {
+        const progressData = StorageManager.getProgress();
+        const now = Date.now();
+        let words;
+        if (sourceKey === 'learned') words = getActiveVocabulary().filter(w => progressData[getProgressKey(w)]?.isLearned);
+        else if (sourceKey === 'due') words = getActiveVocabulary().filter(w => progressData[getProgressKey(w)]?.isLearned && progressData[getProgressKey(w)].nextReviewDate <= now);
+        else words = globalVocabularyData;
+        if (this.mode === 'sentences') words = words.filter(w => w.example && w.example.pt);
+        return words;
+    },
+    // 重建播放顺序，尽量停留在当前这个单词上
+    reload: function() {
+        const settings = StorageManager.getListenSettings();
+        const currentId = this.playlist[this.index] && this.playlist[this.index].id;
+        this.source = this.buildSource(settings.source);
+        this.playlist = [...this.source];
+        if (settings.shuffle) shuffleArray(this.playlist);
+        const pos = this.playlist.findIndex(w => w.id === currentId);
+        if (settings.shuffle && pos > 0) this.playlist.unshift(...this.playlist.splice(pos, 1));
+        this.index = settings.shuffle ? 0 : Math.max(0, pos);
+        this.render();
+    },
+    open: function(mode, returnView) {
+        this.mode = mode;
+        this._returnView = returnView;
+        this.playlist = [];
+        this.reload();
+        renderListenOptions();
+        returnView.classList.replace('active', 'hidden');
+        document.getElementById('listen-view').classList.replace('hidden', 'active');
+        if (this.playlist.length === 0) window.showToast("这里还没有可播放的内容");
+    },
+    close: function() {
+        this.pause();
+        document.getElementById('listen-view').classList.replace('active', 'hidden');
+        this._returnView.classList.replace('hidden', 'active');
+    },
+    play: function() {
+        if (this.playlist.length === 0) return;
+        this.playing = true;
+        if (!this._silence) this._silence = createSilentAudio();
+        this._silence.play().catch(() => {});
+        this._run(++this._session);
+        this.render();
+    },
+    pause: function() {
+        this.playing = false;
+        this._session++;
+        AudioManager.stop();
+        if (this._silence) this._silence.pause();
+        this.render();
+    },
+    skip: function(step) {
+        if (this.playlist.length === 0) return;
+        this.index = (this.index + step + this.playlist.length) % this.playlist.length;
+        this._session++;
+        AudioManager.stop();
+        if (this.playing) this._run(this._session);
+        this.render();
+    },
+    _wait: function(seconds) {
+        return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    },
+    // 单词：葡语 → 停顿 → 中文释义 → 停顿 → 例句；句子：例句 → 停顿 → 例句翻译
+    _steps: function(word) {
+        const rate = StorageManager.getListenSettings().rate;
+        if (this.mode === 'sentences') {
+            return [
+                () => AudioManager.play(word, 'example', { rate }),
+                () => AudioManager.speak(word.example.zh, { lang: 'zh-CN', rate })
+            ];
+        }
+        let steps = [
+            () => AudioManager.play(word, 'word', { rate }),
+            () => AudioManager.speak(word.zh, { lang: 'zh-CN', rate })
+        ];
+        if (word.example && word.example.pt) steps.push(() => AudioManager.play(word, 'example', { rate }));
+        return steps;
+    },
+    _run: async function(session) {
+        const alive = () => this.playing && session === this._session;
+        while (alive()) {
+            const word = this.playlist[this.index];
+            this.render();
+            for (const step of this._steps(word)) {
+                await step();
+                if (!alive()) return;
+                await this._wait(StorageManager.getListenSettings().interval);
+                if (!alive()) return;
+            }
+
+            if (this.index + 1 < this.playlist.length) {
+                this.index++;
+            } else if (StorageManager.getListenSettings().loop) {
+                this.playlist = [...this.source];
+                if (StorageManager.getListenSettings().shuffle) shuffleArray(this.playlist);
+                this.index = 0;
+            } else {
+                this.index = 0;
+                this.pause();
+                window.showToast("播放完毕");
+                return;
+            }
+        }
+    },
+    render: function() {
+        const word = this.playlist[this.index];
+        const card = document.querySelector('.listen-card');
+        card.classList.toggle('sentence-mode', this.mode === 'sentences');
+        document.getElementById('listen-title').innerText = `随身听 · ${LISTEN_MODE_LABELS[this.mode]}`;
+        document.getElementById('listen-progress').innerText = `${word ? this.index + 1 : 0}/${this.playlist.length}`;
+        document.getElementById('listen-word').innerText = word ? word.pt : '—';
+        document.getElementById('listen-phonetic').innerText = word && this.mode === 'words' ? (word.phonetic || '') : '';
+        document.getElementById('listen-zh').innerText = word ? `${word.pos || ''} ${word.zh}`.trim() : '没有可播放的内容';
+        document.getElementById('listen-example').innerText = word && word.example ? stripSentenceMarkup(word.example.pt) : '';
+        document.getElementById('listen-example-zh').innerText = word && word.example ? word.example.zh : '';
+        document.querySelector('#btn-listen-toggle i').className = this.playing ? 'fa-solid fa-pause' : 'fa-solid fa-play';
+        this.updateMediaSession(word);
+    },
+    updateMediaSession: function(word) {
+        if (!('mediaSession' in navigator)) return;
+        navigator.mediaSession.playbackState = this.playing ? 'playing' : 'paused';
+        if (!word || typeof MediaMetadata === 'undefined') return;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: this.mode === 'sentences' ? stripSentenceMarkup(word.example.pt) : word.pt,
+            artist: this.mode === 'sentences' ? word.example.zh : word.zh,
+            album: `随身听 · ${currentBookName || 'Splendid'}`
+        });
+    }
+};
+
+function renderListenOptions() {
+    const settings = StorageManager.getListenSettings();
+    document.querySelectorAll('.listen-source-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.source === settings.source));
+    document.getElementById('btn-listen-loop').classList.toggle('active', settings.loop);
+    document.getElementById('btn-listen-shuffle').classList.toggle('active', settings.shuffle);
+    document.getElementById('btn-listen-speed').innerText = `${settings.rate.toFixed(2).replace(/0$/, '')}x`;
+    document.getElementById('btn-listen-interval').innerText = `间隔 ${settings.interval}s`;
+}
+
+// 锁屏/耳机上的控制键
+if ('mediaSession' in navigator) {
+    const mediaActions = {
+        play: () => ListenPlayer.play(),
+        pause: () => ListenPlayer.pause(),
+        previoustrack: () => ListenPlayer.skip(-1),
+        nexttrack: () => ListenPlayer.skip(1)
+    };
+    Object.keys(mediaActions).forEach(action => {
+        try { navigator.mediaSession.setActionHandler(action, mediaActions[action]); } catch (e) {}
+    });
+}
+
+document.getElementById('btn-listen-words').addEventListener('click', () => {
+    ListenPlayer.open('words', document.getElementById('folders-view'));
+});
+document.getElementById('btn-listen-sentences').addEventListener('click', () => {
+    ListenPlayer.open('sentences', document.getElementById('folders-view'));
+});
+document.getElementById('btn-float-listen').addEventListener('click', () => {
+    ListenPlayer.open('words', document.getElementById('active-book-list-view'));
+});
+document.getElementById('btn-back-from-listen').addEventListener('click', () => ListenPlayer.close());
+
+document.getElementById('btn-listen-toggle').addEventListener('click', () => {
+    if (ListenPlayer.playing) ListenPlayer.pause();
+    else ListenPlayer.play();
+});
+document.getElementById('btn-listen-prev').addEventListener('click', () => ListenPlayer.skip(-1));
+document.getElementById('btn-listen-next').addEventListener('click', () => ListenPlayer.skip(1));
+
+document.querySelectorAll('.listen-source-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+        const wasPlaying = ListenPlayer.playing;
+        ListenPlayer.pause();
+        StorageManager.saveListenSettings({ source: tab.dataset.source });
+        ListenPlayer.playlist = [];
+        ListenPlayer.reload();
+        renderListenOptions();
+        if (ListenPlayer.playlist.length === 0) window.showToast("这里还没有可播放的内容");
+        else if (wasPlaying) ListenPlayer.play();
+    });
+});
+
+document.getElementById('btn-listen-loop').addEventListener('click', () => {
+    StorageManager.saveListenSettings({ loop: !StorageManager.getListenSettings().loop });
+    renderListenOptions();
+});
+
+document.getElementById('btn-listen-shuffle').addEventListener('click', () => {
+    StorageManager.saveListenSettings({ shuffle: !StorageManager.getListenSettings().shuffle });
+    ListenPlayer.reload();
+    renderListenOptions();
+});
+
+// 语速、间隔按档位轮换，下一段朗读生效
+document.getElementById('btn-listen-speed').addEventListener('click', () => {
+    const rate = StorageManager.getListenSettings().rate;
+    StorageManager.saveListenSettings({ rate: LISTEN_SPEEDS[(LISTEN_SPEEDS.indexOf(rate) + 1) % LISTEN_SPEEDS.length] });
+    renderListenOptions();
+});
+
+document.getElementById('btn-listen-interval').addEventListener('click', () => {
+    const interval = StorageManager.getListenSettings().interval;
+    StorageManager.saveListenSettings({ interval: LISTEN_INTERVALS[(LISTEN_INTERVALS.indexOf(interval) + 1) % LISTEN_INTERVALS.length] });
+    renderListenOptions();
+});
+
+
+// ================= JS 序列 24：拼写重音键盘与组合键 =================
+
+// 同一字母的各种写法，第一个是最常用的
+const ACCENT_VARIANTS = {
+    a: ['ã', 'á', 'â', 'à'],
+    e: ['é', 'ê'],
+    i: ['í'],
+    o: ['õ', 'ó', 'ô'],
+    u: ['ú', 'ü'],
+    c: ['ç']
+};
+const ACCENT_BAR_KEYS = ['ã', 'á', 'â', 'à', 'ç', 'é', 'ê', 'í', 'õ', 'ó', 'ô', 'ú'];
+
+// 死键组合：先打符号再打字母，如 ~a → ã、,c → ç、'e → é、^o → ô、`a → à
+const DEAD_KEY_MARKS = { '~': ['ã', 'õ'], ',': ['ç'], "'": ['á', 'é', 'í', 'ó', 'ú'], '^': ['â', 'ê', 'ô'], '`': ['à'], '"': ['ü'] };
+const DEAD_KEY_MAP = {};
+Object.keys(DEAD_KEY_MARKS).forEach(mark => {
+    DEAD_KEY_MARKS[mark].forEach(char => { DEAD_KEY_MAP[mark + stripAccents(char)] = char; });
+});
+
+// 只转换刚输入的最后两个字符，已经写好的部分不会被改动
+function applyDeadKeys(value) {
+    const tail = value.slice(-2);
+    const lower = DEAD_KEY_MAP[tail.toLowerCase()];
+    if (!lower) return value;
+    const char = tail[1] === tail[1].toUpperCase() ? lower.toUpperCase() : lower;
+    return value.slice(0, -2) + char;
+}
+
+function baseLetterOf(char) {
+    return stripAccents(char).toLowerCase();
+}
+
+function insertSpellText(text) {
+    if (isSpellChecking) return;
+    els.hiddenInput.value += text;
+    els.hiddenInput.dispatchEvent(new Event('input'));
+    els.hiddenInput.focus();
+}
+
+function replaceLastSpellChar(char) {
+    if (isSpellChecking || !els.hiddenInput.value) return;
+    els.hiddenInput.value = els.hiddenInput.value.slice(0, -1) + char;
+    els.hiddenInput.dispatchEvent(new Event('input'));
+}
+
+const accentBar = document.getElementById('accent-bar');
+const accentVariantsPopup = document.getElementById('accent-variants');
+let accentLongPressTimer = null;
+let accentLongPressed = false;
+
+function renderAccentBar() {
+    const enabled = StorageManager.getLearnSettings().accentBar;
+    accentBar.classList.toggle('hidden', !enabled);
+    document.getElementById('btn-toggle-accent-bar').classList.toggle('active', enabled);
+    accentBar.innerHTML = ACCENT_BAR_KEYS.map(char => `<div class="accent-key" data-char="${char}">${char}</div>`).join('');
+}
+
+function showAccentVariants(keyEl) {
+    const variants = ACCENT_VARIANTS[baseLetterOf(keyEl.dataset.char)] || [];
+    const all = [...variants, ...variants.map(v => v.toUpperCase())];
+    accentVariantsPopup.innerHTML = all.map(char => `<div class="accent-key" data-char="${char}">${char}</div>`).join('');
+    accentVariantsPopup.classList.remove('hidden');
+
+    const barRect = accentBar.getBoundingClientRect();
+    const keyRect = keyEl.getBoundingClientRect();
+    const viewRect = views.spelling.getBoundingClientRect();
+    const left = Math.min(Math.max(8, keyRect.left - viewRect.left - 20), viewRect.width - accentVariantsPopup.offsetWidth - 8);
+    accentVariantsPopup.style.left = `${left}px`;
+    accentVariantsPopup.style.top = `${barRect.top - viewRect.top - accentVariantsPopup.offsetHeight - 8}px`;
+}
+
+function hideAccentVariants() {
+    accentVariantsPopup.classList.add('hidden');
+}
+
+// 按下时阻止默认行为，避免隐藏输入框失焦导致系统键盘收起
+accentBar.addEventListener('pointerdown', (e) => {
+    const key = e.target.closest('.accent-key');
+    if (!key) return;
+    e.preventDefault();
+    accentLongPressed = false;
+    clearTimeout(accentLongPressTimer);
+    accentLongPressTimer = setTimeout(() => {
+        accentLongPressed = true;
+        showAccentVariants(key);
+    }, 450);
+});
+
+accentBar.addEventListener('pointerup', (e) => {
+    clearTimeout(accentLongPressTimer);
+    const key = e.target.closest('.accent-key');
+    if (key && !accentLongPressed) insertSpellText(key.dataset.char);
+});
+
+accentBar.addEventListener('pointerleave', () => clearTimeout(accentLongPressTimer));
+
+accentVariantsPopup.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    const key = e.target.closest('.accent-key');
+    if (key) insertSpellText(key.dataset.char);
+    hideAccentVariants();
+});
+
+views.spelling.addEventListener('pointerdown', (e) => {
+    if (!accentVariantsPopup.contains(e.target) && !accentBar.contains(e.target)) hideAccentVariants();
+});
+
+document.getElementById('btn-toggle-accent-bar').addEventListener('click', () => {
+    StorageManager.saveLearnSettings({ accentBar: !StorageManager.getLearnSettings().accentBar });
+    renderAccentBar();
+    els.hiddenInput.focus();
+});
+
+// 桌面快捷键：Alt + 元音/c 输入最常用的写法，连续按同一个键在各写法之间轮换
+els.hiddenInput.addEventListener('keydown', (e) => {
+    if (!e.altKey || e.ctrlKey || e.metaKey || !/^Key[AEIOUC]$/.test(e.code)) return;
+    e.preventDefault();
+    const variants = ACCENT_VARIANTS[e.code.slice(3).toLowerCase()];
+    const last = els.hiddenInput.value.slice(-1);
+    const index = variants.findIndex(v => v === last.toLowerCase());
+    const upper = e.shiftKey;
+    if (index >= 0) {
+        const next = variants[(index + 1) % variants.length];
+        replaceLastSpellChar(last === last.toUpperCase() ? next.toUpperCase() : next);
+    } else {
+        insertSpellText(upper ? variants[0].toUpperCase() : variants[0]);
+    }
+});
+
+renderAccentBar();
+
+
+// ================= JS 序列 25：例句填空 =================
+
+// 例句里的目标词用 <strong> 或 ___111___/___222___ 标出；返回挖空后的前后文和句中实际出现的词形
+function extractCloze(examplePt) {
+    if (!examplePt) return null;
+    const marked = examplePt.replace(/<strong>/g, '___111___').replace(/<\/strong>/g, '___222___');
+    const match = marked.match(/^([\s\S]*?)___111___([\s\S]*?)___222___([\s\S]*)$/);
+    if (!match) return null;
+    const answer = stripSentenceMarkup(match[2]).trim();
+    if (!answer) return null;
+    return { before: stripSentenceMarkup(match[1]), answer, after: stripSentenceMarkup(match[3]) };
+}
+
+// 单词所有可以挖空的例句：主例句加各义项例句，按原文去重
+function getClozeExamples(wordObj) {
+    const examples = [wordObj.example, ...(wordObj.meanings || []).flatMap(m => m.examples || [])];
+    const seen = new Set();
+    let items = [];
+    examples.forEach(ex => {
+        if (!ex || !ex.pt || seen.has(ex.pt)) return;
+        seen.add(ex.pt);
+        const cloze = extractCloze(ex.pt);
+        if (cloze) items.push({ ...cloze, zh: ex.zh || '' });
+    });
+    return items;
+}
+
+function pickCloze(wordObj) {
+    const items = getClozeExamples(wordObj);
+    return items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+}
+
+// 句中是变位、阴阳性或复数形式（如 encorajo ← encorajar）时，题面要给出原形
+function isInflectedForm(cloze, wordObj) {
+    return !!wordObj.pt && stripAccents(cloze.answer.toLowerCase()) !== stripAccents(wordObj.pt.toLowerCase());
+}
+
+function isLemmaInsteadOfForm(item, input) {
+    return isInflectedForm(item.cloze, item) && stripAccents(input.toLowerCase()) === stripAccents(item.pt.toLowerCase());
+}
+
+// 答错时给出针对性的说明：填了原形、或写成了别的人称/时态
+function explainPracticeMistake(item, input) {
+    if (item.cloze && isLemmaInsteadOfForm(item, input)) return `要填句中的形式，不是原形 ${item.pt}`;
+    const match = findConjugatedForm(item, input);
+    if (match) return `${input} 是 ${CONJUGATION_TENSES[match.tense]} · ${CONJUGATION_PERSONS[match.person]} 的形式`;
+    return '';
+}
+
+// 干扰项的首字母大小写跟正确答案一致，免得句首大写直接暴露答案
+function matchCase(form, reference) {
+    const first = reference.charAt(0);
+    const head = first !== first.toLowerCase() ? form.charAt(0).toUpperCase() : form.charAt(0).toLowerCase();
+    return head + form.slice(1);
+}
+
+function renderClozeSentence(cloze, filled) {
+    const blank = filled ? `<strong class="highlight-yellow">${escapeHTML(cloze.answer)}</strong>` : '<span class="cloze-blank"></span>';
+    return `${escapeHTML(cloze.before)}${blank}${escapeHTML(cloze.after)}`;
+}
+
+// 拼写页的填空题面：挖空例句、中文翻译，变形时附上原形
+function renderClozePrompt(item, filled) {
+    const lemma = isInflectedForm(item.cloze, item) ? `<span class="cloze-lemma">原形 ${escapeHTML(item.pt)}</span>` : '';
+    return `<span class="cloze-prompt">${renderClozeSentence(item.cloze, filled)}</span><span class="cloze-translation">${escapeHTML(item.cloze.zh)}</span>${lemma}`;
+}
+
+function revealClozeAnswer() {
+    els.spellMeaning.innerHTML = renderClozePrompt(currentSpellWord, true);
+    playAudio(currentSpellWord, 'example');
+}
+
+// ---- 学习第二关：例句填空（选择题） ----
+function shouldUseClozeStage(wordObj) {
+    return StorageManager.getLearnSettings().clozeStage && getClozeExamples(wordObj).length > 0;
+}
+
+function renderClozeStage() {
+    applyBackgroundContext('learning-green');
+    const cloze = pickCloze(currentWordObj);
+    currentWordObj.cloze = cloze;
+
+    els.quizArea.classList.remove('hidden');
+    els.fQuiz.classList.remove('hidden');
+    els.fQuiz.innerHTML = `<div class="action-item" onclick="showAnswerDirectly()"><span>看答案</span><div class="line red"></div></div>`;
+    // 反向卡片的题面是中文，提示里不能出现葡语原形
+    els.quizArea.querySelector('.hint-text').innerText = isInflectedForm(cloze, currentWordObj) && !isReverseCard(currentWordObj)
+        ? `选出 ${currentWordObj.pt} 在句中的正确形式` : '根据中文翻译补全例句';
+    document.getElementById('cloze-card').classList.remove('hidden');
+    document.getElementById('cloze-sentence').innerHTML = renderClozeSentence(cloze, false);
+    document.getElementById('cloze-zh').innerText = cloze.zh;
+
+    // 干扰项优先用它们自己例句中的词形，这样变位形式不会一眼被认出
+    let options = [{ wordObj: currentWordObj, isCorrect: true, label: cloze.answer }];
+    const seen = new Set([cloze.answer.toLowerCase()]);
+    DistractorEngine.pick(currentWordObj, 6).forEach(d => {
+        if (options.length >= 4) return;
+        const other = pickCloze(d.wordObj);
+        const label = matchCase(other ? other.answer : d.wordObj.pt, cloze.answer);
+        if (seen.has(label.toLowerCase())) return;
+        seen.add(label.toLowerCase());
+        options.push({ wordObj: d.wordObj, isCorrect: false, reasons: d.reasons, label });
+    });
+    shuffleArray(options);
+    fillQuizOptions(options, (data, opt) => `<span class="opt-zh">${escapeHTML(opt.label)}</span>`);
+}
+
+// ---- 独立的填空复习：输入句中的词形，到期单词的结果计入复习排期 ----
+function getClozeReviewPool() {
+    const progressData = StorageManager.getProgress();
+    const now = Date.now();
+    const seen = new Set();
+    let due = [], rest = [];
+    getActiveVocabulary().forEach(w => {
+        const p = progressData[getProgressKey(w)];
+        if (!p || !p.isLearned || seen.has(w.id) || getClozeExamples(w).length === 0) return;
+        seen.add(w.id);
+        (p.nextReviewDate <= now ? due : rest).push(w);
+    });
+    return { due, rest };
+}
+
+window.startClozeReview = function(returnView) {
+    const { due, rest } = getClozeReviewPool();
+    if (due.length + rest.length === 0) { window.showToast("还没有可以填空的例句，先去学几个单词吧"); return; }
+
+    const dueIds = new Set(due.map(w => w.id));
+    const items = [...shuffleArray(due), ...shuffleArray(rest)]
+        .slice(0, StorageManager.getLearnSettings().groupSize)
+        .map(w => ({ ...w, cloze: pickCloze(w), isDue: dueIds.has(w.id) }));
+    dictationSession = { kind: 'cloze', items, returnView, results: {} };
+    isReviewMode = false;
+    returnView.classList.replace('active', 'hidden');
+    beginSpellingRound(items);
+};
+
+// 文字练习每题以第一次作答为准：答错过就记 failed，错题轮里写对也不改
+function recordPracticeResult(isCorrect) {
+    const results = dictationSession.results;
+    const key = getSpellItemKey(currentSpellWord);
+    if (!isCorrect) results[key] = 'failed';
+    else if (!results[key]) results[key] = 'good';
+}
+
+// 只给到期且作答过的题评分：答错 AGAIN，靠提示写出按提示层级，一次写对 GOOD
+function getPracticeGrade(item, hintUsage) {
+    const result = dictationSession.results[getSpellItemKey(item)];
+    if (!item.isDue || !result) return null;
+    if (result === 'failed') return REVIEW_GRADES.AGAIN;
+    return getHintGrade(hintUsage) || REVIEW_GRADES.GOOD;
+}
+
+document.getElementById('btn-open-cloze').addEventListener('click', () => {
+    startClozeReview(document.getElementById('folders-view'));
+});
+
+document.getElementById('plan-cloze-stage').addEventListener('change', (e) => {
+    StorageManager.saveLearnSettings({ clozeStage: e.target.value === 'on' });
+});
+
+
+// ================= JS 序列 26：动词变位 =================
+
+// 词条可以自带 conjugations 块（键为下面的时态，值为六个人称的词形）；缺少的时态由本地规则引擎补齐
+const CONJUGATION_PERSONS = ['eu', 'tu', 'ele/ela/você', 'nós', 'vós', 'eles/elas/vocês'];
+const CONJUGATION_TENSES = { presente: '现在时', preterito: '过去完成时', imperfeito: '过去未完成时', futuro: '将来时', condicional: '条件式', subjuntivo: '虚拟式现在时' };
+
+const REGULAR_ENDINGS = {
+    ar: { presente: 'o as a amos ais am', preterito: 'ei aste ou amos astes aram', imperfeito: 'ava avas ava ávamos áveis avam', subjuntivo: 'e es e emos eis em' },
+    er: { presente: 'o es e emos eis em', preterito: 'i este eu emos estes eram', imperfeito: 'ia ias ia íamos íeis iam', subjuntivo: 'a as a amos ais am' },
+    ir: { presente: 'o es e imos is em', preterito: 'i iste iu imos istes iram', imperfeito: 'ia ias ia íamos íeis iam', subjuntivo: 'a as a amos ais am' }
+};
+// 将来时与条件式接在不定式（或 futureStem）后面
+const INFINITIVE_ENDINGS = { futuro: 'ei ás á emos eis ão', condicional: 'ia ias ia íamos íeis iam' };
+
+// 不规则动词只写与规则变位不同的时态；futureStem 用于将来时与条件式（如 fazer → far-）
+const IRREGULAR_VERBS = {
+    ser: { presente: 'sou és é somos sois são', preterito: 'fui foste foi fomos fostes foram', imperfeito: 'era eras era éramos éreis eram', subjuntivo: 'seja sejas seja sejamos sejais sejam' },
+    estar: { presente: 'estou estás está estamos estais estão', preterito: 'estive estiveste esteve estivemos estivestes estiveram', subjuntivo: 'esteja estejas esteja estejamos estejais estejam' },
+    ter: { presente: 'tenho tens tem temos tendes têm', preterito: 'tive tiveste teve tivemos tivestes tiveram', imperfeito: 'tinha tinhas tinha tínhamos tínheis tinham', subjuntivo: 'tenha tenhas tenha tenhamos tenhais tenham' },
+    haver: { presente: 'hei hás há havemos haveis hão', preterito: 'houve houveste houve houvemos houvestes houveram', subjuntivo: 'haja hajas haja hajamos hajais hajam' },
+    ir: { presente: 'vou vais vai vamos ides vão', preterito: 'fui foste foi fomos fostes foram', subjuntivo: 'vá vás vá vamos vades vão' },
+    fazer: { presente: 'faço fazes faz fazemos fazeis fazem', preterito: 'fiz fizeste fez fizemos fizestes fizeram', subjuntivo: 'faça faças faça façamos façais façam', futureStem: 'far' },
+    dizer: { presente: 'digo dizes diz dizemos dizeis dizem', preterito: 'disse disseste disse dissemos dissestes disseram', subjuntivo: 'diga digas diga digamos digais digam', futureStem: 'dir' },
+    trazer: { presente: 'trago trazes traz trazemos trazeis trazem', preterito: 'trouxe trouxeste trouxe trouxemos trouxestes trouxeram', subjuntivo: 'traga tragas traga tragamos tragais tragam', futureStem: 'trar' },
+    poder: { presente: 'posso podes pode podemos podeis podem', preterito: 'pude pudeste pôde pudemos pudestes puderam', subjuntivo: 'possa possas possa possamos possais possam' },
+    querer: { presente: 'quero queres quer queremos quereis querem', preterito: 'quis quiseste quis quisemos quisestes quiseram', subjuntivo: 'queira queiras queira queiramos queirais queiram' },
+    saber: { presente: 'sei sabes sabe sabemos sabeis sabem', preterito: 'soube soubeste soube soubemos soubestes souberam', subjuntivo: 'saiba saibas saiba saibamos saibais saibam' },
+    ver: { presente: 'vejo vês vê vemos vedes veem', preterito: 'vi viste viu vimos vistes viram', subjuntivo: 'veja vejas veja vejamos vejais vejam' },
+    vir: { presente: 'venho vens vem vimos vindes vêm', preterito: 'vim vieste veio viemos viestes vieram', imperfeito: 'vinha vinhas vinha vínhamos vínheis vinham', subjuntivo: 'venha venhas venha venhamos venhais venham' },
+    dar: { presente: 'dou dás dá damos dais dão', preterito: 'dei deste deu demos destes deram', subjuntivo: 'dê dês dê demos deis deem' },
+    'pôr': { presente: 'ponho pões põe pomos pondes põem', preterito: 'pus puseste pôs pusemos pusestes puseram', imperfeito: 'punha punhas punha púnhamos púnheis punham', subjuntivo: 'ponha ponhas ponha ponhamos ponhais ponham', futureStem: 'por' },
+    ler: { presente: 'leio lês lê lemos ledes leem', subjuntivo: 'leia leias leia leiamos leiais leiam' },
+    sair: { presente: 'saio sais sai saímos saís saem', preterito: 'saí saíste saiu saímos saístes saíram', imperfeito: 'saía saías saía saíamos saíeis saíam', subjuntivo: 'saia saias saia saiamos saiais saiam' },
+    ouvir: { presente: 'ouço ouves ouve ouvimos ouvis ouvem', subjuntivo: 'ouça ouças ouça ouçamos ouçais ouçam' },
+    pedir: { presente: 'peço pedes pede pedimos pedis pedem', subjuntivo: 'peça peças peça peçamos peçais peçam' },
+    perder: { presente: 'perco perdes perde perdemos perdeis perdem', subjuntivo: 'perca percas perca percamos percais percam' },
+    seguir: { presente: 'sigo segues segue seguimos seguis seguem', subjuntivo: 'siga sigas siga sigamos sigais sigam' },
+    sentir: { presente: 'sinto sentes sente sentimos sentis sentem', subjuntivo: 'sinta sintas sinta sintamos sintais sintam' },
+    dormir: { presente: 'durmo dormes dorme dormimos dormis dormem', subjuntivo: 'durma durmas durma durmamos durmais durmam' }
+};
+
+// 按词尾整族套用的不规则变位：propor / compor 跟 pôr，cair / atrair 跟 sair
+const IRREGULAR_FAMILIES = [{ suffix: 'por', base: 'pôr' }, { suffix: 'air', base: 'sair' }];
+
+const ConjugationEngine = {
+    isVerb: function(wordObj) {
+        if (!wordObj || !/^v/i.test(wordObj.pos || '')) return false;
+        return !!wordObj.conjugations || /^\p{L}+$/u.test(this.lemmaOf(wordObj));
+    },
+    lemmaOf: function(wordObj) {
+        return (wordObj.pt || '').trim().toLowerCase();
+    },
+    // 正字法：-ar 动词在 e 前把 c / ç / g 写作 qu / c / gu；-er、-ir 动词在 a、o 前把 c / g / gu 写作 ç / j / g
+    adjustStem: function(stem, ending, group) {
+        const vowel = ending.charAt(0);
+        if (group === 'ar' && vowel === 'e') {
+            if (stem.endsWith('c')) return stem.slice(0, -1) + 'qu';
+            if (stem.endsWith('ç')) return stem.slice(0, -1) + 'c';
+            if (stem.endsWith('g')) return stem + 'u';
+        }
+        if (group !== 'ar' && (vowel === 'a' || vowel === 'o')) {
+            if (stem.endsWith('gu')) return stem.slice(0, -1);
+            if (stem.endsWith('c')) return stem.slice(0, -1) + 'ç';
+            if (stem.endsWith('g')) return stem.slice(0, -1) + 'j';
+        }
+        return stem;
+    },
+    conjugateRegular: function(lemma, futureStem) {
+        const group = lemma.slice(-2);
+        if (!REGULAR_ENDINGS[group]) return null;
+        const stem = lemma.slice(0, -2);
+        let table = {};
+        Object.entries(REGULAR_ENDINGS[group]).forEach(([tense, endings]) => {
+            table[tense] = endings.split(' ').map(e => this.adjustStem(stem, e, group) + e);
+        });
+        Object.entries(INFINITIVE_ENDINGS).forEach(([tense, endings]) => {
+            table[tense] = endings.split(' ').map(e => (futureStem || lemma) + e);
+        });
+        return table;
+    },
+    findIrregular: function(lemma) {
+        if (IRREGULAR_VERBS[lemma]) return { prefix: '', baseHead: '', entry: IRREGULAR_VERBS[lemma], base: lemma };
+        const family = IRREGULAR_FAMILIES.find(f => lemma.endsWith(f.suffix) && lemma.length > f.suffix.length);
+        if (!family) return null;
+        return {
+            prefix: lemma.slice(0, -family.suffix.length),
+            baseHead: family.base.slice(0, -family.suffix.length),
+            entry: IRREGULAR_VERBS[family.base],
+            base: family.base
+        };
+    },
+    isIrregular: function(lemma) {
+        return !!this.findIrregular(lemma);
+    },
+    // 返回 { 时态: [六个人称] }；不是 -ar / -er / -ir / -or 结尾时返回 null
+    conjugate: function(lemma) {
+        const irregular = this.findIrregular(lemma);
+        if (!irregular) return this.conjugateRegular(lemma);
+
+        const { prefix, baseHead, entry, base } = irregular;
+        const derive = form => prefix + form.slice(baseHead.length);
+        // 先按规则变出整张表（pôr 按古形 poer 走 -er），再用不规则表覆盖，最后换上派生词的前缀
+        let table = this.conjugateRegular(base === 'pôr' ? 'poer' : base, entry.futureStem) || {};
+        Object.keys(CONJUGATION_TENSES).forEach(tense => {
+            if (entry[tense]) table[tense] = entry[tense].split(' ');
+        });
+        return Object.fromEntries(Object.entries(table).map(([tense, forms]) => [tense, forms.map(derive)]));
+    }
+};
+
+function getConjugations(wordObj) {
+    if (!ConjugationEngine.isVerb(wordObj)) return null;
+    const generated = ConjugationEngine.conjugate(ConjugationEngine.lemmaOf(wordObj)) || {};
+    const table = { ...generated, ...(wordObj.conjugations || {}) };
+    return Object.keys(table).length > 0 ? table : null;
+}
+
+// 在某个单词的变位表里找输入的词形，返回第一个匹配的 { tense, person }（忽略大小写与重音）；非动词直接返回 null
+function findConjugatedForm(wordObj, input) {
+    if (!wordObj || !input) return null;
+    const table = getConjugations(wordObj);
+    if (!table) return null;
+    const target = stripAccents(input.trim().toLowerCase());
+    for (const tense of Object.keys(CONJUGATION_TENSES)) {
+        const person = (table[tense] || []).findIndex(form => stripAccents(form) === target);
+        if (person >= 0) return { tense, person };
+    }
+    return null;
+}
+
+// ---- 详情页「变位」标签 ----
+let activeConjugationTense = 'presente';
+
+function renderConjugationTab(wordObj) {
+    const table = getConjugations(wordObj);
+    const exampleForm = (extractCloze(wordObj.example && wordObj.example.pt) || {}).answer;
+    const highlight = exampleForm ? stripAccents(exampleForm.toLowerCase()) : '';
+    const tenses = Object.keys(CONJUGATION_TENSES).filter(tense => table[tense]);
+    if (!tenses.includes(activeConjugationTense)) activeConjugationTense = tenses[0];
+
+    const chips = tenses.map(tense =>
+        `<span class="conj-tense ${tense === activeConjugationTense ? 'active' : ''}" data-tense="${tense}">${CONJUGATION_TENSES[tense]}</span>`
+    ).join('');
+    // 两列排布：左列单数、右列复数；例句里出现的词形高亮
+    const order = [0, 3, 1, 4, 2, 5];
+    const cells = order.map(person => {
+        const form = table[activeConjugationTense][person] || '';
+        const isExample = highlight && stripAccents(form) === highlight;
+        return `<div class="conj-cell"><span class="conj-person">${CONJUGATION_PERSONS[person]}</span><span class="conj-form ${isExample ? 'highlight-yellow' : ''}">${escapeHTML(form)}</span></div>`;
+    }).join('');
+    const irregularTag = ConjugationEngine.isIrregular(ConjugationEngine.lemmaOf(wordObj)) ? '<span class="conj-irregular">不规则</span>' : '';
+    els.tabContent.innerHTML = `<div class="conj-tenses">${chips}${irregularTag}</div><div class="conj-grid">${cells}</div>`;
+}
+
+els.tabContent.addEventListener('click', (e) => {
+    const chip = e.target.closest('.conj-tense');
+    if (!chip) return;
+    activeConjugationTense = chip.dataset.tense;
+    renderConjugationTab(currentWordObj);
+});
+
+// ---- 变位练习：给出人称与时态，用拼写引擎写出词形 ----
+// vós 在日常葡语里几乎不用，练习时跳过
+const DRILL_PERSONS = [0, 1, 2, 3, 5];
+
+function buildConjugationDrill(wordObj) {
+    const table = getConjugations(wordObj);
+    const tenses = Object.keys(CONJUGATION_TENSES).filter(tense => table[tense]);
+    const tense = tenses[Math.floor(Math.random() * tenses.length)];
+    const person = DRILL_PERSONS[Math.floor(Math.random() * DRILL_PERSONS.length)];
+    return { lemma: ConjugationEngine.lemmaOf(wordObj), tense, person, answer: table[tense][person] };
+}
+
+window.startConjugationDrill = function(returnView) {
+    const progressData = StorageManager.getProgress();
+    const seen = new Set();
+    const verbs = getActiveVocabulary().filter(w => {
+        if (seen.has(w.id) || !getConjugations(w)) return false;
+        seen.add(w.id);
+        return true;
+    });
+    // 优先练已学过的动词，不够一组时用其余在学动词补齐
+    const learned = verbs.filter(w => progressData[getProgressKey(w)]?.isLearned);
+    const others = verbs.filter(w => !progressData[getProgressKey(w)]?.isLearned);
+    if (verbs.length === 0) { window.showToast("在学词书里还没有动词"); return; }
+
+    const items = [...shuffleArray(learned), ...shuffleArray(others)]
+        .slice(0, StorageManager.getLearnSettings().groupSize)
+        .map(w => ({ ...w, drill: buildConjugationDrill(w) }));
+    dictationSession = { kind: 'conjugation', items, returnView, results: {} };
+    isReviewMode = false;
+    returnView.classList.replace('active', 'hidden');
+    beginSpellingRound(items);
+};
+
+function renderConjugationPrompt(item, filled) {
+    const drill = item.drill;
+    const answer = filled ? `<span class="conj-drill-answer highlight-yellow">${escapeHTML(drill.answer)}</span>` : '';
+    return `<span class="conj-drill-verb">${escapeHTML(drill.lemma)}</span><span class="cloze-translation">${escapeHTML(item.zh)}</span>` +
+        `<span class="conj-drill-ask">${CONJUGATION_TENSES[drill.tense]} · ${CONJUGATION_PERSONS[drill.person]}</span>${answer}`;
+}
+
+function revealConjugationAnswer() {
+    els.spellMeaning.innerHTML = renderConjugationPrompt(currentSpellWord, true);
+    playAudio(currentSpellWord.drill.answer);
+}
+
+document.getElementById('btn-open-conjugation-drill').addEventListener('click', () => {
+    startConjugationDrill(document.getElementById('folders-view'));
+});
+
+
+// ================= JS 序列 27：词典搜索 =================
+
+// 搜索索引：葡语键为去重音的小写，排序后做前缀二分查找；另建二元组倒排表给拼写容错找候选，中文按单字倒排
+const SearchIndex = {
+    _entries: [],
+    _byId: new Map(),
+    _prefixList: [],
+    _bigrams: new Map(),
+    _hanzi: new Map(),
+    bigramsOf: function(key) {
+        const padded = `^${key}$`;
+        let grams = new Set();
+        for (let i = 0; i < padded.length - 1; i++) grams.add(padded.slice(i, i + 2));
+        return grams;
+    },
+    build: function(dict) {
+        this._entries = [];
+        this._byId = new Map();
+        this._prefixList = [];
+        this._bigrams = new Map();
+        this._hanzi = new Map();
+        Object.entries(dict).forEach(([id, entry]) => {
+            if (!entry || !entry.pt) return;
+            const key = InflectionIndex.key(entry.pt);
+            const meanings = (entry.meanings || []).map(m => m.zhDef || m.zh || '').filter(Boolean);
+            const idx = this._entries.length;
+            this._entries.push({ id, entry, key, zh: entry.zh || '', zhDefs: meanings.join('；') });
+            this._byId.set(id, idx);
+
+            this._prefixList.push({ token: key, idx, whole: true });
+            const words = key.split(/\s+/);
+            if (words.length > 1) words.forEach(word => this._prefixList.push({ token: word, idx, whole: false }));
+            this.bigramsOf(key).forEach(gram => {
+                if (!this._bigrams.has(gram)) this._bigrams.set(gram, []);
+                this._bigrams.get(gram).push(idx);
+            });
+            new Set(`${entry.zh || ''}${meanings.join('')}`.match(/[一-龥]/g) || []).forEach(char => {
+                if (!this._hanzi.has(char)) this._hanzi.set(char, []);
+                this._hanzi.get(char).push(idx);
+            });
+        });
+        this._prefixList.sort((a, b) => (a.token < b.token ? -1 : a.token > b.token ? 1 : 0));
+    },
+    // 二分找到第一个不小于 prefix 的位置，向后收集所有以 prefix 开头的词
+    prefixMatches: function(prefix) {
+        let lo = 0, hi = this._prefixList.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this._prefixList[mid].token < prefix) lo = mid + 1; else hi = mid;
+        }
+        let matches = [];
+        for (let i = lo; i < this._prefixList.length && this._prefixList[i].token.startsWith(prefix); i++) matches.push(this._prefixList[i]);
+        return matches;
+    },
+    // 允许的拼写错误数随查询长度增加
+    maxTypos: function(query) {
+        return query.length <= 3 ? 0 : query.length <= 6 ? 1 : 2;
+    },
+    searchPortuguese: function(raw, add) {
+        const query = InflectionIndex.key(raw);
+        let accented = new Set();
+        this.prefixMatches(query).forEach(({ token, idx, whole }) => {
+            if (whole && token === query) add(idx, 100, '完全匹配');
+            else if (whole) add(idx, 90 - Math.min(10, token.length - query.length), '前缀');
+            else add(idx, 70, '词组');
+            if (this._entries[idx].entry.pt.toLowerCase().startsWith(raw.trim().toLowerCase())) accented.add(idx);
+        });
+
+        InflectionIndex.matches(raw).forEach(match => {
+            if (match.description && this._byId.has(match.id)) add(this._byId.get(match.id), 75, match.description);
+        });
+
+        this.searchTypos(query, add);
+        // 带重音完全一致的略微靠前；等各条理由定下最高分后再加，免得被后来的理由覆盖
+        accented.forEach(idx => add(idx, 1, null));
+    },
+    searchTypos: function(query, add) {
+        const typos = this.maxTypos(query);
+        if (typos === 0) return;
+        // 共享足够多二元组的词条才做编辑距离比较
+        let shared = new Map();
+        this.bigramsOf(query).forEach(gram => (this._bigrams.get(gram) || []).forEach(idx => shared.set(idx, (shared.get(idx) || 0) + 1)));
+        const needed = Math.max(1, query.length + 1 - typos * 2 - 2);
+        shared.forEach((count, idx) => {
+            if (count < needed) return;
+            const key = this._entries[idx].key;
+            const chars = Array.from(query);
+            const full = alignSequences(chars, Array.from(key)).distance;
+            const prefix = alignSequences(chars, Array.from(key.slice(0, query.length))).distance; // 按前缀比较，边输入边容错
+            const distance = Math.min(full, prefix);
+            if (distance <= typos) add(idx, 50 - distance * 10 - (prefix < full ? 5 : 0), '拼写相近');
+        });
+    },
+    searchChinese: function(query, add) {
+        const chars = Array.from(new Set(query.match(/[一-龥]/g)));
+        let candidates = null;
+        chars.forEach(char => {
+            const list = new Set(this._hanzi.get(char) || []);
+            candidates = candidates ? new Set([...candidates].filter(idx => list.has(idx))) : list;
+        });
+        (candidates || new Set()).forEach(idx => {
+            const { zh, zhDefs } = this._entries[idx];
+            const parts = zh.split(/[，,；;、\s]+/);
+            if (zh === query) add(idx, 100, '中文释义');
+            else if (parts.includes(query)) add(idx, 90, '中文释义');
+            else if (zh.startsWith(query)) add(idx, 80, '中文释义');
+            else if (zh.includes(query)) add(idx, 70, '中文释义');
+            else if (zhDefs.includes(query)) add(idx, 60, '义项释义');
+            else add(idx, 30, '相关释义');
+        });
+    },
+    // ids：只在这些词条里搜（如当前词书）；返回按得分排序的 [{ id, entry, score, reason }]
+    search: function(query, { ids = null, limit = 50 } = {}) {
+        if (!query || !query.trim()) return [];
+        let results = new Map();
+        const add = (idx, score, reason) => {
+            const current = results.get(idx);
+            if (!current) results.set(idx, { idx, score, reason });
+            else if (reason === null) current.score += score;
+            else if (score > current.score) Object.assign(current, { score, reason });
+        };
+        if (/[一-龥]/.test(query)) this.searchChinese(query.trim(), add);
+        else this.searchPortuguese(query, add);
+
+        return [...results.values()]
+            .map(r => ({ ...r, id: this._entries[r.idx].id, entry: this._entries[r.idx].entry }))
+            .filter(r => !ids || ids.has(r.id))
+            .sort((a, b) => b.score - a.score || a.entry.pt.length - b.entry.pt.length)
+            .slice(0, limit);
+    }
+};
+
+const searchView = document.getElementById('search-view');
+const searchInput = document.getElementById('search-input');
+const searchResultsEl = document.getElementById('search-results');
+let searchScope = 'all';
+let searchDebounceTimer = null;
+
+// scope 为 'book' 时默认只搜当前词书，可切换到全部词典
+window.openSearch = function(scope = 'all') {
+    const canScopeBook = scope === 'book' && globalVocabularyData.length > 0;
+    searchScope = canScopeBook ? 'book' : 'all';
+    document.getElementById('search-scope').classList.toggle('hidden', !canScopeBook);
+    document.querySelectorAll('.search-scope-chip').forEach(chip => chip.classList.toggle('active', chip.dataset.scope === searchScope));
+    searchView.classList.replace('hidden', 'active');
+    renderSearchResults();
+    setTimeout(() => searchInput.focus(), 50);
+};
+
+function renderSearchResults() {
+    const query = searchInput.value;
+    if (!query.trim()) {
+        searchResultsEl.innerHTML = '<p class="search-empty">支持前缀、不带重音、拼错一两个字母、变位形式和中文释义</p>';
+        return;
+    }
+    const ids = searchScope === 'book' ? new Set(globalVocabularyData.map(w => w.id)) : null;
+    const results = SearchIndex.search(query, { ids });
+    if (results.length === 0) {
+        searchResultsEl.innerHTML = '<p class="search-empty">没有找到相关词条</p>';
+        return;
+    }
+    searchResultsEl.innerHTML = results.map(r => `
+        <div class="search-result" data-id="${escapeHTML(r.id)}">
+            <div class="search-result-main">
+                <span class="search-result-pt">${escapeHTML(r.entry.pt)}</span>
+                <span class="search-result-zh">${escapeHTML(`${r.entry.pos || ''} ${r.entry.zh || ''}`.trim())}</span>
+            </div>
+            <span class="search-result-tag">${escapeHTML(r.reason)}</span>
+        </div>
+    `).join('');
+}
+
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(renderSearchResults, 120);
+});
+
+searchResultsEl.addEventListener('click', (e) => {
+    const row = e.target.closest('.search-result');
+    if (!row) return;
+    showWordPopup(globalDict[row.dataset.id].pt, row.dataset.id);
+});
+
+document.getElementById('search-scope').addEventListener('click', (e) => {
+    const chip = e.target.closest('.search-scope-chip');
+    if (!chip) return;
+    searchScope = chip.dataset.scope;
+    document.querySelectorAll('.search-scope-chip').forEach(c => c.classList.toggle('active', c === chip));
+    renderSearchResults();
+});
+
+document.getElementById('btn-back-from-search').addEventListener('click', () => {
+    searchView.classList.replace('active', 'hidden');
+});
+
+document.getElementById('btn-home-search').addEventListener('click', () => openSearch('all'));
+document.getElementById('btn-wordlist-search').addEventListener('click', () => openSearch('book'));
+
+
+// ================= JS 序列 28：单词本与收藏 =================
+
+function syncStarIcon(iconEl, wordId) {
+    const starred = !!wordId && StorageManager.isInCollection(STARRED_COLLECTION, wordId);
+    iconEl.classList.toggle('fa-solid', starred);
+    iconEl.classList.toggle('fa-regular', !starred);
+    iconEl.classList.toggle('starred', starred);
+}
+
+// 单词本内容变化后，刷新它作为在学词书 / 当前词书时的单词列表
+async function refreshNotebookBook(collectionId) {
+    const bookId = notebookBookId(collectionId);
+    if (activeBookData[bookId]) activeBookData[bookId] = await buildBookWords(bookId);
+    const currentBook = StorageManager.getCurrentBook();
+    if (currentBook && currentBook.fileName === bookId) globalVocabularyData = await buildBookWords(bookId);
+    updateHomeCounts();
+    if (notebookView.classList.contains('active')) renderNotebookView();
+}
+
+function setWordInCollection(collectionId, wordId, included) {
+    StorageManager.setInCollection(collectionId, wordId, included);
+    refreshNotebookBook(collectionId);
+}
+
+function toggleStar(wordId) {
+    const starred = !StorageManager.isInCollection(STARRED_COLLECTION, wordId);
+    setWordInCollection(STARRED_COLLECTION, wordId, starred);
+    window.showToast(starred ? '已加入「我的收藏」' : '已取消收藏');
+}
+
+document.getElementById('btn-star-word').addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (!currentWordObj) return;
+    toggleStar(currentWordObj.id);
+    syncStarIcon(e.currentTarget, currentWordObj.id);
+});
+
+document.getElementById('wp-star').addEventListener('click', (e) => {
+    if (!popupWordId) return;
+    toggleStar(popupWordId);
+    syncStarIcon(e.currentTarget, popupWordId);
+});
+
+function getNotebookList() {
+    return Object.values(StorageManager.getCollections()).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function promptNewNotebook() {
+    const title = (prompt('单词本名称') || '').trim();
+    return title ? StorageManager.createCollection(title) : null;
+}
+
+// ---- 加入单词本（从查词弹窗打开） ----
+let pickerWordId = null;
+
+function renderNotebookPicker() {
+    document.getElementById('notebook-picker-list').innerHTML = getNotebookList().map(collection => `
+        <label class="notebook-pick">
+            <input type="checkbox" data-id="${escapeHTML(collection.id)}" ${collection.wordIds.includes(pickerWordId) ? 'checked' : ''}>
+            <span class="notebook-pick-title">${escapeHTML(collection.title)}</span>
+            <span class="muted">${collection.wordIds.length} 词</span>
+        </label>
+    `).join('');
+}
+
+window.openNotebookPicker = function(wordId) {
+    pickerWordId = wordId;
+    renderNotebookPicker();
+    openSheet('notebook-picker-modal');
+};
+
+document.getElementById('wp-add-to-notebook').addEventListener('click', () => {
+    if (popupWordId) openNotebookPicker(popupWordId);
+});
+
+document.getElementById('notebook-picker-list').addEventListener('change', (e) => {
+    if (!e.target.dataset.id) return;
+    setWordInCollection(e.target.dataset.id, pickerWordId, e.target.checked);
+    renderNotebookPicker();
+});
+
+document.getElementById('btn-picker-new-notebook').addEventListener('click', () => {
+    const collectionId = promptNewNotebook();
+    if (!collectionId) return;
+    setWordInCollection(collectionId, pickerWordId, true);
+    renderNotebookPicker();
+});
+
+document.getElementById('btn-picker-done').addEventListener('click', () => {
+    closeSheet('notebook-picker-modal');
+    syncStarIcon(document.getElementById('wp-star'), popupWordId);
+});
+
+// ---- 单词本页面：列表 → 单个单词本（学习 / 复习 / 移除单词） ----
+const notebookView = document.getElementById('notebook-view');
+let openNotebookId = null;
+
+function getNotebookDueWords(words) {
+    const progressData = StorageManager.getProgress();
+    const now = Date.now();
+    return words.filter(w => progressData[getProgressKey(w)]?.isLearned && progressData[getProgressKey(w)].nextReviewDate <= now);
+}
+
+async function renderNotebookView() {
+    const body = document.getElementById('notebook-body');
+    const collection = openNotebookId ? StorageManager.getCollections()[openNotebookId] : null;
+    if (openNotebookId && !collection) openNotebookId = null;
+
+    document.getElementById('notebook-view-title').innerText = collection ? collection.title : '单词本';
+    document.getElementById('notebook-actions').classList.toggle('hidden', !collection);
+    document.getElementById('btn-new-notebook').classList.toggle('hidden', !!collection);
+    document.getElementById('btn-delete-notebook').classList.toggle('hidden', !collection || collection.id === STARRED_COLLECTION);
+
+    if (!collection) {
+        body.innerHTML = `<div class="list-group">${getNotebookList().map(c => `
+            <div class="list-item" data-notebook-id="${escapeHTML(c.id)}">
+                <div class="li-left">
+                    <i class="fa-solid ${c.id === STARRED_COLLECTION ? 'fa-star' : 'fa-book-bookmark'}" style="color: ${c.id === STARRED_COLLECTION ? '#EBB04D' : '#FF6B6B'};"></i>
+                    <span>${escapeHTML(c.title)}</span>
+                </div>
+                <div class="li-right"><span class="li-count">${c.wordIds.length}</span><i class="fa-solid fa-chevron-right"></i></div>
+            </div>
+        `).join('')}</div>`;
+        return;
+    }
+
+    const bookId = notebookBookId(collection.id);
+    const words = await buildBookWords(bookId);
+    const progressData = StorageManager.getProgress();
+    const isActive = StorageManager.getActiveBooks().includes(bookId);
+    document.getElementById('btn-notebook-toggle-active').innerText = isActive ? '移出在学' : '加入在学';
+    document.getElementById('btn-notebook-review').innerText = `复习到期（${getNotebookDueWords(words).length}）`;
+
+    if (words.length === 0) {
+        body.innerHTML = '<p class="search-empty">还没有单词，在查词弹窗、学习卡片或单词表里点星标收藏吧</p>';
+        return;
+    }
+    body.innerHTML = words.map(w => `
+        <div class="notebook-word" data-id="${escapeHTML(w.id)}">
+            <div class="search-result-main">
+                <span class="search-result-pt">${escapeHTML(w.pt)}</span>
+                <span class="search-result-zh">${escapeHTML(`${w.pos || ''} ${w.zh || ''}`.trim())}</span>
+            </div>
+            <div class="notebook-word-side">
+                <span class="search-result-tag">${progressData[getProgressKey(w)]?.isLearned ? '已学' : '未学'}</span>
+                <i class="fa-solid fa-xmark notebook-word-remove" title="移出单词本"></i>
+            </div>
+        </div>
+    `).join('');
+}
+
+document.getElementById('btn-open-notebooks').addEventListener('click', () => {
+    openNotebookId = null;
+    document.getElementById('folders-view').classList.replace('active', 'hidden');
+    notebookView.classList.replace('hidden', 'active');
+    renderNotebookView();
+});
+
+document.getElementById('btn-back-from-notebook').addEventListener('click', () => {
+    if (openNotebookId) {
+        openNotebookId = null;
+        renderNotebookView();
+        return;
+    }
+    notebookView.classList.replace('active', 'hidden');
+    document.getElementById('folders-view').classList.replace('hidden', 'active');
+    updateHomeCounts();
+});
+
+document.getElementById('notebook-body').addEventListener('click', (e) => {
+    const notebookRow = e.target.closest('[data-notebook-id]');
+    if (notebookRow) {
+        openNotebookId = notebookRow.dataset.notebookId;
+        renderNotebookView();
+        return;
+    }
+    const wordRow = e.target.closest('.notebook-word');
+    if (!wordRow) return;
+    if (e.target.classList.contains('notebook-word-remove')) setWordInCollection(openNotebookId, wordRow.dataset.id, false);
+    else showWordPopup(globalDict[wordRow.dataset.id].pt, wordRow.dataset.id);
+});
+
+document.getElementById('btn-new-notebook').addEventListener('click', () => {
+    if (promptNewNotebook()) renderNotebookView();
+});
+
+document.getElementById('btn-delete-notebook').addEventListener('click', () => {
+    const collection = StorageManager.getCollections()[openNotebookId];
+    if (!collection || !confirm(`删除单词本「${collection.title}」？单词的学习进度会保留。`)) return;
+    const bookId = notebookBookId(collection.id);
+    StorageManager.removeActiveBook(bookId);
+    delete activeBookData[bookId];
+    const currentBook = StorageManager.getCurrentBook();
+    if (currentBook && currentBook.fileName === bookId) {
+        StorageManager.setCurrentBook(null);
+        globalVocabularyData = [];
+    }
+    StorageManager.deleteCollection(collection.id);
+    openNotebookId = null;
+    renderNotebookView();
+    renderLibrary();
+    updateHomeCounts();
+});
+
+// 加入在学后，单词本像普通词书一样进入首页的新词与复习队列
+document.getElementById('btn-notebook-toggle-active').addEventListener('click', async () => {
+    const bookId = notebookBookId(openNotebookId);
+    if (StorageManager.getActiveBooks().includes(bookId)) {
+        StorageManager.removeActiveBook(bookId);
+        delete activeBookData[bookId];
+        window.showToast('已移出在学词书');
+    } else {
+        StorageManager.addActiveBook(bookId);
+        activeBookData[bookId] = await buildBookWords(bookId);
+        window.showToast('已加入在学词书，首页 Learn / Review 会包含这些单词');
+    }
+    updateHomeCounts();
+    renderNotebookView();
+});
+
+document.getElementById('btn-notebook-review').addEventListener('click', async () => {
+    const due = getNotebookDueWords(await buildBookWords(notebookBookId(openNotebookId)));
+    if (due.length === 0) { window.showToast('这个单词本里暂时没有到期的单词'); return; }
+    startReviewSession(due, notebookView);
+});
+
+
+// ================= JS 序列 29：句库 =================
+
+// 句子以去掉高亮标记后的原文做 ID，同一句从不同单词收藏也只存一份
+function getSentenceId(examplePt) {
+    return `s_${fnv1a(stripSentenceMarkup(examplePt).trim())}`;
+}
+
+function isSentenceSaved(example) {
+    return !!example && !!example.pt && !!StorageManager.getSentences()[getSentenceId(example.pt)];
+}
+
+function syncSentenceIcon(iconEl, example) {
+    const saved = isSentenceSaved(example);
+    iconEl.classList.toggle('fa-solid', saved);
+    iconEl.classList.toggle('fa-regular', !saved);
+    iconEl.classList.toggle('saved', saved);
+}
+
+function toggleSavedSentence(example, wordObj, source) {
+    if (!example || !example.pt) return;
+    const id = getSentenceId(example.pt);
+    if (StorageManager.getSentences()[id]) {
+        StorageManager.removeSentence(id);
+        window.showToast('已移出句库');
+    } else {
+        StorageManager.saveSentence({
+            id, pt: example.pt, zh: example.zh || '', source, wordId: wordObj.id,
+            savedAt: Date.now(), srs: null, nextReviewDate: getNextReviewTime(1)
+        });
+        window.showToast('已收入句库');
+    }
+    updateHomeCounts();
+}
+
+function getImmersiveExample() {
+    const meaning = currentWordObj.meanings[currentMeaningIndex];
+    return meaning && meaning.examples[currentExampleIndex];
+}
+
+document.getElementById('im-btn-save-sentence').addEventListener('click', (e) => {
+    const example = getImmersiveExample();
+    toggleSavedSentence(example, currentWordObj, (example && example.source) || '词典例句');
+    syncSentenceIcon(e.currentTarget, example);
+});
+
+document.getElementById('btn-save-example').addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleSavedSentence(currentWordObj.example, currentWordObj, '词书例句');
+    syncSentenceIcon(e.currentTarget.querySelector('i'), currentWordObj.example);
+});
+
+// 练习用的题目对象：id 取所属单词（错误次数记在单词上），sentenceId 指向句子自己的排期
+// 只有单词的主例句才能用词条里的例句音频，其余句子走语音合成
+function buildSentenceItem(sentence) {
+    const word = globalDict[sentence.wordId] || {};
+    const cloze = extractCloze(sentence.pt);
+    return {
+        id: sentence.wordId, sentenceId: sentence.id,
+        pt: word.pt || '', pos: word.pos || '', zh: word.zh || '', phonetic: word.phonetic || '',
+        example: { pt: sentence.pt, zh: sentence.zh },
+        audio: word.example && word.example.pt === sentence.pt ? word.audio : undefined,
+        cloze: cloze ? { ...cloze, zh: sentence.zh } : null
+    };
+}
+
+function revealSentenceTranslation() {
+    els.spellMeaning.innerHTML = `<span class="cloze-prompt">${escapeHTML(stripSentenceMarkup(currentSpellWord.example.pt))}</span><span class="cloze-translation">${escapeHTML(currentSpellWord.example.zh)}</span>`;
+    playAudio(currentSpellWord, 'example');
+}
+
+// ---- 句库页面：按来源和单词筛选 ----
+const sentenceView = document.getElementById('sentence-view');
+let sentenceSourceFilter = '';
+
+function getFilteredSentences() {
+    const query = stripAccents(document.getElementById('sentence-word-filter').value.trim().toLowerCase());
+    return Object.values(StorageManager.getSentences())
+        .filter(s => !sentenceSourceFilter || s.source === sentenceSourceFilter)
+        .filter(s => {
+            if (!query) return true;
+            const word = globalDict[s.wordId];
+            const haystack = [word ? word.pt : '', stripSentenceMarkup(s.pt), s.zh].join(' ').toLowerCase();
+            return stripAccents(haystack).includes(query);
+        })
+        .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+function formatSentenceDue(sentence, now) {
+    const days = Math.ceil((sentence.nextReviewDate - now) / 86400000);
+    return days <= 0 ? '到期' : `${days} 天后`;
+}
+
+function renderSentenceBank() {
+    const all = Object.values(StorageManager.getSentences());
+    const now = Date.now();
+    document.getElementById('sentence-bank-stats').innerText = `${all.length} 句 · 到期 ${all.filter(s => s.nextReviewDate <= now).length}`;
+
+    const sources = Array.from(new Set(all.map(s => s.source))).sort();
+    if (!sources.includes(sentenceSourceFilter)) sentenceSourceFilter = '';
+    document.getElementById('sentence-source-filter').innerHTML = ['', ...sources].map(source =>
+        `<span class="search-scope-chip ${source === sentenceSourceFilter ? 'active' : ''}" data-source="${escapeHTML(source)}">${escapeHTML(source || '全部')}</span>`
+    ).join('');
+
+    const list = document.getElementById('sentence-list');
+    const sentences = getFilteredSentences();
+    if (sentences.length === 0) {
+        list.innerHTML = `<p class="search-empty">${all.length === 0 ? '在学习卡片或沉浸大卡片的例句上点书签，就能把句子收进句库' : '没有符合条件的句子'}</p>`;
+        return;
+    }
+    list.innerHTML = sentences.map(s => {
+        const word = globalDict[s.wordId];
+        return `
+            <div class="sentence-row" data-id="${escapeHTML(s.id)}">
+                <p class="sentence-row-pt">${renderClickableSentence(s.pt)}</p>
+                <p class="sentence-row-zh">${escapeHTML(s.zh)}</p>
+                <div class="sentence-row-meta">
+                    <span class="search-result-tag">${escapeHTML(s.source)}</span>
+                    ${word ? `<span class="sentence-row-word">${escapeHTML(word.pt)}</span>` : ''}
+                    <span class="sentence-row-due">${formatSentenceDue(s, now)}</span>
+                    <i class="fa-solid fa-volume-low sentence-row-play" title="播放"></i>
+                    <i class="fa-solid fa-xmark sentence-row-remove" title="移出句库"></i>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+document.getElementById('btn-open-sentences').addEventListener('click', () => {
+    document.getElementById('folders-view').classList.replace('active', 'hidden');
+    sentenceView.classList.replace('hidden', 'active');
+    renderSentenceBank();
+});
+
+document.getElementById('btn-back-from-sentences').addEventListener('click', () => {
+    sentenceView.classList.replace('active', 'hidden');
+    document.getElementById('folders-view').classList.replace('hidden', 'active');
+    updateHomeCounts();
+});
+
+document.getElementById('sentence-word-filter').addEventListener('input', renderSentenceBank);
+
+document.getElementById('sentence-source-filter').addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-source]');
+    if (!chip) return;
+    sentenceSourceFilter = chip.dataset.source;
+    renderSentenceBank();
+});
+
+document.getElementById('sentence-list').addEventListener('click', (e) => {
+    const row = e.target.closest('.sentence-row');
+    if (!row) return;
+    const sentence = StorageManager.getSentences()[row.dataset.id];
+    if (e.target.classList.contains('sentence-row-play')) playAudio(buildSentenceItem(sentence), 'example');
+    else if (e.target.classList.contains('sentence-row-remove')) {
+        StorageManager.removeSentence(sentence.id);
+        renderSentenceBank();
+    } else if (e.target.classList.contains('sentence-row-word')) showWordPopup(globalDict[sentence.wordId].pt, sentence.wordId);
+});
+
+// ---- 句库复习：到期的句子优先，再用未到期的补足一组；只有到期句子的成绩计入排期 ----
+function getSentenceReviewItems(mode) {
+    const now = Date.now();
+    let due = [], rest = [];
+    Object.values(StorageManager.getSentences()).forEach(sentence => {
+        const item = buildSentenceItem(sentence);
+        if (mode === 'cloze' && !item.cloze) return;
+        item.isDue = sentence.nextReviewDate <= now;
+        (item.isDue ? due : rest).push(item);
+    });
+    return [...shuffleArray(due), ...shuffleArray(rest)].slice(0, StorageManager.getLearnSettings().groupSize);
+}
+
+function startSentenceReview(mode) {
+    const items = getSentenceReviewItems(mode);
+    if (items.length === 0) {
+        window.showToast(mode === 'cloze' ? '句库里还没有可以挖空的句子' : '句库还是空的，先去收藏几个例句吧');
+        return;
+    }
+    sentenceView.classList.replace('active', 'hidden');
+    if (mode === 'read') { startSentenceReading(items); return; }
+
+    dictationSession = { kind: mode === 'cloze' ? 'sentenceCloze' : 'sentenceTranslate', items, returnView: sentenceView, results: {}, onFinish: renderSentenceBank };
+    isReviewMode = false;
+    beginSpellingRound(items);
+}
+
+document.querySelectorAll('[data-sentence-review]').forEach(btn => {
+    btn.addEventListener('click', () => startSentenceReview(btn.dataset.sentenceReview));
+});
+
+// ---- 朗读复习：听一遍、读出来、看译文后自评 ----
+const sentenceReadView = document.getElementById('sentence-read-view');
+let sentenceReading = null; // { items, index }
+
+function startSentenceReading(items) {
+    sentenceReading = { items, index: 0 };
+    sentenceReadView.classList.replace('hidden', 'active');
+    showSentenceReadingItem();
+}
+
+function showSentenceReadingItem() {
+    const item = sentenceReading.items[sentenceReading.index];
+    document.getElementById('sentence-read-progress').innerText = `${sentenceReading.index + 1}/${sentenceReading.items.length}`;
+    document.getElementById('sentence-read-pt').innerHTML = renderClickableSentence(item.example.pt);
+    document.getElementById('sentence-read-zh').innerText = item.example.zh;
+    document.getElementById('sentence-read-zh').classList.add('hidden');
+    document.getElementById('sentence-read-reveal').classList.remove('hidden');
+    document.getElementById('sentence-read-grade').classList.add('hidden');
+    playAudio(item, 'example');
+}
+
+function finishSentenceReading() {
+    sentenceReading = null;
+    sentenceReadView.classList.replace('active', 'hidden');
+    sentenceView.classList.replace('hidden', 'active');
+    renderSentenceBank();
+}
+
+document.getElementById('btn-sentence-read-play').addEventListener('click', () => {
+    playAudio(sentenceReading.items[sentenceReading.index], 'example');
+});
+
+document.getElementById('btn-sentence-read-reveal').addEventListener('click', () => {
+    document.getElementById('sentence-read-zh').classList.remove('hidden');
+    document.getElementById('sentence-read-reveal').classList.add('hidden');
+    document.getElementById('sentence-read-grade').classList.remove('hidden');
+});
+
+document.getElementById('sentence-read-grade').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-grade]');
+    if (!btn) return;
+    const item = sentenceReading.items[sentenceReading.index];
+    if (item.isDue) StorageManager.reviewSentence(item.sentenceId, REVIEW_GRADES[btn.dataset.grade]);
+    sentenceReading.index++;
+    if (sentenceReading.index >= sentenceReading.items.length) {
+        window.showToast('朗读复习完成');
+        finishSentenceReading();
+    } else {
+        showSentenceReadingItem();
+    }
+});
+
+document.getElementById('btn-close-sentence-read').addEventListener('click', () => {
+    AudioManager.stop();
+    finishSentenceReading();
+});
+
+
+// ================= JS 序列 30：单词笔记 =================
+
+function syncNoteTab() {
+    document.querySelector('.tab[data-target="notes"]').classList.toggle('has-note', !!StorageManager.getNote(currentWordObj.id));
+}
+
+// 详情卡片里的笔记标签：边写边存
+function renderNoteTab(wordObj) {
+    els.tabContent.innerHTML = `<textarea class="note-editor note-tab-editor" placeholder="记下助记、易混点或自己的例句"></textarea>`;
+    const editor = els.tabContent.querySelector('textarea');
+    editor.value = StorageManager.getNote(wordObj.id);
+    editor.addEventListener('input', () => {
+        StorageManager.saveNote(wordObj.id, editor.value);
+        syncNoteTab();
+    });
+}
+
+document.getElementById('btn-edit-note').addEventListener('click', () => {
+    document.querySelector('.tab[data-target="notes"]').click();
+    els.tabContent.querySelector('textarea').focus();
+});
+
+// ---- 笔记页面：全部笔记，可按单词、释义或笔记内容搜索 ----
+const notesView = document.getElementById('notes-view');
+let editingNoteWordId = null;
+
+function getNoteEntries() {
+    return Object.entries(StorageManager.getNotes())
+        .map(([wordId, note]) => ({ wordId, word: globalDict[wordId], ...note }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function renderNotesList() {
+    const query = stripAccents(document.getElementById('notes-search').value.trim().toLowerCase());
+    const entries = getNoteEntries().filter(entry => {
+        if (!query) return true;
+        const haystack = [entry.word ? entry.word.pt : '', entry.word ? entry.word.zh : '', entry.text].join(' ').toLowerCase();
+        return stripAccents(haystack).includes(query);
+    });
+    const list = document.getElementById('notes-list');
+    if (entries.length === 0) {
+        list.innerHTML = `<p class="search-empty">${query ? '没有符合条件的笔记' : '在单词详情的「笔记」标签或铅笔图标里写下第一条笔记吧'}</p>`;
+        return;
+    }
+    list.innerHTML = entries.map(entry => `
+        <div class="note-row" data-id="${escapeHTML(entry.wordId)}">
+            <div class="note-row-head">
+                <span class="search-result-pt note-row-word">${escapeHTML(entry.word ? entry.word.pt : entry.wordId)}</span>
+                <span class="search-result-zh">${escapeHTML(entry.word ? `${entry.word.pos || ''} ${entry.word.zh || ''}`.trim() : '')}</span>
+                <span class="note-row-date">${new Date(entry.updatedAt).toLocaleDateString()}</span>
+            </div>
+            <p class="note-row-text">${escapeHTML(entry.text)}</p>
+        </div>
+    `).join('');
+}
+
+function openNoteEditor(wordId) {
+    editingNoteWordId = wordId;
+    const word = globalDict[wordId];
+    document.getElementById('note-editor-title').innerText = word ? `${word.pt} 的笔记` : '笔记';
+    document.getElementById('note-editor-text').value = StorageManager.getNote(wordId);
+    openSheet('note-editor-modal');
+}
+
+function closeNoteEditor() {
+    closeSheet('note-editor-modal');
+    editingNoteWordId = null;
+    renderNotesList();
+    updateHomeCounts();
+}
+
+document.getElementById('btn-open-notes').addEventListener('click', () => {
+    document.getElementById('folders-view').classList.replace('active', 'hidden');
+    notesView.classList.replace('hidden', 'active');
+    renderNotesList();
+});
+
+document.getElementById('btn-back-from-notes').addEventListener('click', () => {
+    notesView.classList.replace('active', 'hidden');
+    document.getElementById('folders-view').classList.replace('hidden', 'active');
+    updateHomeCounts();
+});
+
+document.getElementById('notes-search').addEventListener('input', renderNotesList);
+
+document.getElementById('notes-list').addEventListener('click', (e) => {
+    const row = e.target.closest('.note-row');
+    if (!row) return;
+    const word = globalDict[row.dataset.id];
+    if (e.target.classList.contains('note-row-word') && word) showWordPopup(word.pt, row.dataset.id);
+    else openNoteEditor(row.dataset.id);
+});
+
+document.getElementById('btn-note-save').addEventListener('click', () => {
+    StorageManager.saveNote(editingNoteWordId, document.getElementById('note-editor-text').value);
+    closeNoteEditor();
+});
+
+document.getElementById('btn-note-delete').addEventListener('click', () => {
+    if (!confirm('删除这条笔记？')) return;
+    StorageManager.saveNote(editingNoteWordId, '');
+    closeNoteEditor();
+});
+
+// 笔记单独导出为 Markdown，完整备份里也包含笔记
+document.getElementById('btn-export-notes').addEventListener('click', () => {
+    const entries = getNoteEntries();
+    if (entries.length === 0) { window.showToast('还没有笔记可以导出'); return; }
+    const markdown = entries.map(entry => {
+        const title = entry.word ? `${entry.word.pt}${entry.word.zh ? ` — ${entry.word.zh}` : ''}` : entry.wordId;
+        return `## ${title}\n\n${entry.text.trim()}\n`;
+    }).join('\n');
+    downloadTextFile(`splendid-notes-${getTodayDateKey()}.md`, `# 单词笔记\n\n${markdown}`, 'text/markdown');
+    window.showToast('笔记已导出');
+});
+
+
+// ================= JS 序列 31：词条修改 =================
+// 词典分三层：总词典 → 用户导入的词条 → 用户对词条的修改。修改只存与原词条不同的字段，
+// 原词条留在 dictOriginals 里，用于还原、标出改动和导出补丁
+
+const EDITABLE_DICT_FIELDS = [
+    { key: 'zh', label: '中文释义' },
+    { key: 'pos', label: '词性' },
+    { key: 'phonetic', label: '音标' },
+    { key: 'example', label: '例句', type: 'example' },
+    { key: 'phrases', label: '词组搭配', type: 'list' },
+    { key: 'derivatives', label: '派生', type: 'list' },
+    { key: 'roots', label: '词根', type: 'list' },
+    { key: 'synonyms', label: '近义', type: 'list' },
+    { key: 'antonyms', label: '反义', type: 'list' }
+];
+
+function composeGlobalDict(baseDict) {
+    globalDict = baseDict;
+    Object.assign(globalDict, StorageManager.get('customDict'));
+    dictOriginals = {};
+    Object.keys(StorageManager.getDictOverrides()).forEach(applyDictOverride);
+}
+
+function applyDictOverride(wordId) {
+    if (!(wordId in dictOriginals)) dictOriginals[wordId] = globalDict[wordId];
+    const original = dictOriginals[wordId];
+    if (!original) return; // 词条已不在词典里，修改保留但不生效
+    const override = StorageManager.getDictOverrides()[wordId];
+    globalDict[wordId] = override ? { ...original, ...override.fields } : original;
+    // 例句改过后原录音对不上新文本，去掉例句录音，让 TTS 朗读修改后的例句
+    if (override && override.fields.example && original.audio && original.audio.example) {
+        const { example, ...audio } = original.audio;
+        globalDict[wordId].audio = audio;
+    }
+}
+
+function getOriginalEntry(wordId) {
+    return wordId in dictOriginals ? dictOriginals[wordId] : globalDict[wordId];
+}
+
+function isFieldEdited(wordId, key) {
+    const override = StorageManager.getDictOverrides()[wordId];
+    return !!override && key in override.fields;
+}
+
+// 学习卡片上给改过的释义、音标、例句和标签页加标记
+function markEditedFields() {
+    const id = currentWordObj.id;
+    els.zh.classList.toggle('edited-field', isFieldEdited(id, 'zh'));
+    els.pos.classList.toggle('edited-field', isFieldEdited(id, 'pos'));
+    els.phonetic.classList.toggle('edited-field', isFieldEdited(id, 'phonetic'));
+    document.getElementById('word-example-pt').classList.toggle('edited-field', isFieldEdited(id, 'example'));
+    els.tabs.forEach(tab => tab.classList.toggle('edited-field', isFieldEdited(id, tab.dataset.target)));
+}
+
+// 修改生效后同步到已经组装好的单词对象（词书、学习队列、当前卡片）并重建索引
+function refreshDictEntry(wordId) {
+    applyDictOverride(wordId);
+    const entry = globalDict[wordId];
+    if (!entry) return;
+    const sync = w => [...EDITABLE_DICT_FIELDS.map(field => field.key), 'audio'].forEach(key => {
+        if (entry[key] === undefined) delete w[key];
+        else w[key] = entry[key];
+    });
+    [globalVocabularyData, ...Object.values(activeBookData), currentSessionWords, learningQueue, spellingQueue, window.currentReviewWords || []]
+        .forEach(words => words.filter(w => w.id === wordId).forEach(sync));
+    buildDictionaryIndexes();
+
+    if (!currentWordObj || currentWordObj.id !== wordId) return;
+    sync(currentWordObj);
+    renderWordHeader(!els.wordPt.classList.contains('reverse-prompt'));
+    els.pos.innerText = currentWordObj.pos;
+    els.zh.innerText = currentWordObj.zh;
+    if (!els.detailArea.classList.contains('hidden')) {
+        document.getElementById('word-example-pt').innerHTML = renderClickableSentence(currentWordObj.example.pt);
+        document.getElementById('word-example-zh').innerText = currentWordObj.example.zh;
+        renderTabContent(document.querySelector('.tab.active').dataset.target);
+    }
+}
+
+// ---- 编辑表单 ----
+let editingEntryId = null;
+
+function formatFieldValue(field, value) {
+    if (field.type === 'list') return (value || []).join('\n');
+    if (field.type === 'example') return value ? `${value.pt || ''}\n${value.zh || ''}` : '';
+    return value || '';
+}
+
+function renderEntryField(field, entry, original) {
+    const edited = isFieldEdited(editingEntryId, field.key);
+    const badge = edited ? '<span class="edited-badge">已修改</span>' : '';
+    const originalHint = edited ? `<p class="entry-field-original">原：${escapeHTML(formatFieldValue(field, original[field.key]).replace(/\n/g, ' / ')) || '（空）'}</p>` : '';
+    let input;
+    if (field.type === 'example') {
+        const example = entry.example || {};
+        input = `<input type="text" data-key="example" data-part="pt" value="${escapeHTML(example.pt || '')}" placeholder="葡语例句，可用 <strong> 标出目标词">
+                 <input type="text" data-key="example" data-part="zh" value="${escapeHTML(example.zh || '')}" placeholder="中文翻译">`;
+    } else if (field.type === 'list') {
+        input = `<textarea data-key="${field.key}" rows="3" placeholder="每行一条，如：mesmo assim 尽管如此">${escapeHTML(formatFieldValue(field, entry[field.key]))}</textarea>`;
+    } else {
+        input = `<input type="text" data-key="${field.key}" value="${escapeHTML(entry[field.key] || '')}">`;
+    }
+    return `<div class="entry-field"><div class="entry-field-label">${field.label}${badge}</div>${input}${originalHint}</div>`;
+}
+
+window.openEntryEditor = function(wordId) {
+    const entry = globalDict[wordId];
+    if (!entry) return;
+    editingEntryId = wordId;
+    const original = getOriginalEntry(wordId);
+    document.getElementById('entry-editor-title').innerText = `修改词条 · ${entry.pt}`;
+    document.getElementById('entry-editor-fields').innerHTML = EDITABLE_DICT_FIELDS.map(field => renderEntryField(field, entry, original)).join('');
+    document.getElementById('btn-entry-reset').disabled = !StorageManager.getDictOverrides()[wordId];
+    openSheet('entry-editor-modal');
+};
+
+function readEntryForm() {
+    const form = document.getElementById('entry-editor-fields');
+    let values = {};
+    EDITABLE_DICT_FIELDS.forEach(field => {
+        if (field.type === 'example') {
+            values.example = {
+                pt: form.querySelector('[data-key="example"][data-part="pt"]').value.trim(),
+                zh: form.querySelector('[data-key="example"][data-part="zh"]').value.trim()
+            };
+        } else if (field.type === 'list') {
+            values[field.key] = form.querySelector(`[data-key="${field.key}"]`).value.split('\n').map(line => line.trim()).filter(Boolean);
+        } else {
+            values[field.key] = form.querySelector(`[data-key="${field.key}"]`).value.trim();
+        }
+    });
+    return values;
+}
+
+// 只保存与原词条不同的字段；原词条缺少的列表字段按空列表比较
+function diffAgainstOriginal(wordId, values) {
+    const original = getOriginalEntry(wordId);
+    let fields = {};
+    EDITABLE_DICT_FIELDS.forEach(field => {
+        if (formatFieldValue(field, original[field.key]).trim() !== formatFieldValue(field, values[field.key]).trim()) {
+            fields[field.key] = values[field.key];
+        }
+    });
+    return fields;
+}
+
+function finishEntryEdit(message) {
+    const wordId = editingEntryId;
+    editingEntryId = null;
+    closeSheet('entry-editor-modal');
+    refreshDictEntry(wordId);
+    if (popupWordId === wordId && !document.getElementById('word-popup-modal').classList.contains('hidden')) {
+        showWordPopup(globalDict[wordId].pt, wordId);
+    }
+    window.showToast(message);
+}
+
+document.getElementById('btn-entry-save').addEventListener('click', () => {
+    const values = readEntryForm();
+    if (!values.zh) { alert('中文释义不能为空'); return; }
+    const fields = diffAgainstOriginal(editingEntryId, values);
+    StorageManager.saveDictOverride(editingEntryId, fields);
+    finishEntryEdit(Object.keys(fields).length > 0 ? '词条已修改' : '与原词条相同，未做修改');
+});
+
+document.getElementById('btn-entry-reset').addEventListener('click', () => {
+    if (!confirm('放弃对这个词条的全部修改，还原为词典原文？')) return;
+    StorageManager.saveDictOverride(editingEntryId, {});
+    finishEntryEdit('已还原为原始词条');
+});
+
+document.getElementById('wp-edit').addEventListener('click', () => {
+    if (popupWordId) openEntryEditor(popupWordId);
+});
+
+document.getElementById('btn-edit-entry').addEventListener('click', () => {
+    if (currentWordObj) openEntryEditor(currentWordObj.id);
+});
+
+// ---- 导出补丁：只含总词典里的词条（导入的词条不在共享词典中），附原值便于核对 ----
+document.getElementById('btn-menu-export-patch').addEventListener('click', () => {
+    dashboardMoreMenu.classList.add('hidden');
+    const customDict = StorageManager.get('customDict');
+    let entries = {};
+    Object.entries(StorageManager.getDictOverrides()).forEach(([wordId, override]) => {
+        const original = dictOriginals[wordId];
+        if (customDict[wordId] || !original) return;
+        let from = {};
+        Object.keys(override.fields).forEach(key => { from[key] = original[key] === undefined ? null : original[key]; });
+        entries[wordId] = { pt: original.pt, set: override.fields, from, updatedAt: new Date(override.updatedAt).toISOString() };
+    });
+    if (Object.keys(entries).length === 0) { window.showToast('还没有可以导出的词条修改'); return; }
+    downloadJSONFile(`splendid-dict-patch-${getTodayDateKey()}.json`, {
+        type: 'splendid-dict-patch',
+        version: 1,
+        base: DICT_FILE,
+        exportedAt: new Date().toISOString(),
+        entries
+    });
+    window.showToast(`已导出 ${Object.keys(entries).length} 个词条的修改`);
+});
+
+
+// ================= JS 序列 32：单词表浏览（单元、筛选、排序与虚拟列表） =================
+
+const WORDLIST_UNIT_SIZE = 50; // 清单没有定义单元时的默认单元大小
+const WORDLIST_UNIT_SIZES = [20, 50, 100];
+const WORDLIST_MASTERED_DAYS = 21; // 复习间隔达到这个天数算已掌握
+const WORDLIST_HARD_ERRORS = 3;
+const WORDLIST_ROW_HEIGHT = 56;
+const WORDLIST_OVERSCAN = 8; // 可视区上下多渲染的行数，滚动时不露白
+
+const WORDLIST_FILTERS = { all: '全部', new: '未学', learning: '学习中', due: '待复习', mastered: '已掌握', hard: '难词' };
+const WORDLIST_STATUS_LABELS = { new: '未学', learning: '学习中', due: '待复习', mastered: '已掌握' };
+
+let wordlistState = { unit: 0, filter: 'all', sort: 'book', hideZh: false, revealed: new Set(), rows: [] };
+
+// 单元划分：unitSize 为 null 时优先用清单里的 units，否则按默认大小；0 表示不分单元
+function getBookUnits(bookId, total) {
+    const book = bookId ? BookRegistry.get(bookId) : null;
+    const unitSize = bookId ? StorageManager.getBookSettings(bookId).unitSize : null;
+    let units = [];
+    if (unitSize === null && book && Array.isArray(book.units) && book.units.length > 0) {
+        let start = 0;
+        book.units.forEach((unit, idx) => {
+            if (start >= total) return;
+            const end = Math.min(total, start + unit.size);
+            units.push({ title: unit.title || `Unit ${idx + 1}`, start, end });
+            start = end;
+        });
+        if (start < total) units.push({ title: '其余单词', start, end: total });
+        return units;
+    }
+    const size = unitSize === 0 ? Math.max(total, 1) : (unitSize || WORDLIST_UNIT_SIZE);
+    for (let start = 0; start < total; start += size) {
+        units.push({ title: `Unit ${units.length + 1}`, start, end: Math.min(total, start + size) });
+    }
+    return units.length > 0 ? units : [{ title: 'Unit 1', start: 0, end: 0 }];
+}
+
+function getWordStatus(word, progressData, now) {
+    const entry = progressData[getProgressKey(word)];
+    if (!entry || (!entry.isLearned && !entry.currentStage)) return 'new';
+    if (!entry.isLearned) return 'learning';
+    if (entry.nextReviewDate <= now) return 'due';
+    return entry.srs && entry.srs.interval >= WORDLIST_MASTERED_DAYS ? 'mastered' : 'learning';
+}
+
+function matchesWordlistFilter(row, filter) {
+    if (filter === 'all') return true;
+    if (filter === 'hard') return row.errorCount >= WORDLIST_HARD_ERRORS;
+    return row.status === filter;
+}
+
+const WORDLIST_SORTERS = {
+    book: (a, b) => a.index - b.index,
+    alpha: (a, b) => a.word.pt.localeCompare(b.word.pt, 'pt', { sensitivity: 'base' }),
+    errors: (a, b) => b.errorCount - a.errorCount || a.index - b.index,
+    // 未学的单词没有复习日期，排在最后
+    review: (a, b) => (a.nextReviewDate || Infinity) - (b.nextReviewDate || Infinity) || a.index - b.index
+};
+
+function renderWordlistUnitSizeOptions() {
+    const book = StorageManager.getCurrentBook();
+    const bookId = book ? book.fileName : null;
+    const manifest = bookId ? BookRegistry.get(bookId) : null;
+    const unitSize = bookId ? StorageManager.getBookSettings(bookId).unitSize : null;
+    const autoLabel = manifest && manifest.units ? '按词书单元' : `每单元 ${WORDLIST_UNIT_SIZE} 词`;
+    const options = [['auto', autoLabel], ...WORDLIST_UNIT_SIZES.filter(n => n !== WORDLIST_UNIT_SIZE || (manifest && manifest.units)).map(n => [String(n), `每单元 ${n} 词`]), ['0', '不分单元']];
+    const select = document.getElementById('wordlist-unit-size');
+    select.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    select.value = unitSize === null ? 'auto' : String(unitSize);
+    if (!select.value) select.value = 'auto'; // 与默认大小相同的设置并入「自动」
+}
+
+// 当前单元经筛选、排序后的行，每行带上状态以免滚动时重复计算
+function buildWordlistRows() {
+    const book = StorageManager.getCurrentBook();
+    const units = getBookUnits(book ? book.fileName : null, globalVocabularyData.length);
+    if (wordlistState.unit >= units.length) wordlistState.unit = 0;
+    const unit = units[wordlistState.unit];
+    const progressData = StorageManager.getProgress();
+    const now = Date.now();
+    const unitRows = globalVocabularyData.slice(unit.start, unit.end).map((word, idx) => {
+        const entry = progressData[getProgressKey(word)];
+        return {
+            word, index: unit.start + idx,
+            status: getWordStatus(word, progressData, now),
+            errorCount: word.errorCount || 0,
+            nextReviewDate: entry && entry.isLearned ? entry.nextReviewDate : null
+        };
+    });
+    return { units, unit, unitRows };
+}
+
+function renderWordlist() {
+    const { units, unit, unitRows } = buildWordlistRows();
+
+    document.getElementById('wordlist-units').innerHTML = units.length > 1 ? units.map((u, idx) =>
+        `<span class="search-scope-chip ${idx === wordlistState.unit ? 'active' : ''}" data-unit="${idx}">${escapeHTML(u.title)}</span>`
+    ).join('') : '';
+    document.getElementById('wordlist-units').classList.toggle('hidden', units.length <= 1);
+
+    document.getElementById('wordlist-filters').innerHTML = Object.entries(WORDLIST_FILTERS).map(([key, label]) => {
+        const count = unitRows.filter(row => matchesWordlistFilter(row, key)).length;
+        return `<span class="search-scope-chip ${key === wordlistState.filter ? 'active' : ''}" data-filter="${key}">${label} ${count}</span>`;
+    }).join('');
+
+    wordlistState.rows = unitRows.filter(row => matchesWordlistFilter(row, wordlistState.filter)).sort(WORDLIST_SORTERS[wordlistState.sort]);
+    document.getElementById('wordlist-unit-title').innerText = units.length > 1 ? `${unit.title} · ${unit.start + 1}-${unit.end}` : unit.title;
+    document.getElementById('wordlist-unit-count').innerText = `${wordlistState.rows.length}词`;
+    document.getElementById('wordlist-sort').value = wordlistState.sort;
+
+    const eye = document.getElementById('btn-wordlist-eye');
+    eye.classList.toggle('fa-eye', !wordlistState.hideZh);
+    eye.classList.toggle('fa-eye-slash', wordlistState.hideZh);
+
+    wordlistItemsContainer.style.height = `${wordlistState.rows.length * WORDLIST_ROW_HEIGHT}px`;
+    document.getElementById('wordlist-content').scrollTop = 0;
+    renderWordlistWindow(true);
+}
+
+function renderWordlistRow(row, idx) {
+    const word = row.word;
+    const starClass = StorageManager.isInCollection(STARRED_COLLECTION, word.id) ? 'fa-solid starred' : 'fa-regular';
+    const masked = wordlistState.hideZh && !wordlistState.revealed.has(word.id);
+    const errors = row.errorCount >= WORDLIST_HARD_ERRORS ? `<span class="wordlist-errors">错 ${row.errorCount}</span>` : '';
+    return `
+        <div class="wordlist-item wordlist-row" data-id="${escapeHTML(word.id)}" style="top: ${idx * WORDLIST_ROW_HEIGHT}px;">
+            <div class="wordlist-row-main">
+                <span class="wordlist-pt">${escapeHTML(word.pt)}</span>
+                <span class="wordlist-status status-${row.status}">${WORDLIST_STATUS_LABELS[row.status]}</span>
+                ${errors}
+                <i class="${starClass} fa-star wordlist-star"></i>
+            </div>
+            <span class="wordlist-zh ${masked ? 'masked' : ''}">${escapeHTML(word.zh || '')}</span>
+        </div>
+    `;
+}
+
+// 只渲染可视区附近的行；滚动没有越过已渲染的范围时不重建
+let wordlistWindow = { start: -1, end: -1 };
+
+function renderWordlistWindow(force) {
+    const scroller = document.getElementById('wordlist-content');
+    const offset = scroller.scrollTop - wordlistItemsContainer.offsetTop;
+    const total = wordlistState.rows.length;
+    const start = Math.max(0, Math.floor(offset / WORDLIST_ROW_HEIGHT) - WORDLIST_OVERSCAN);
+    const end = Math.min(total, Math.ceil((offset + scroller.clientHeight) / WORDLIST_ROW_HEIGHT) + WORDLIST_OVERSCAN);
+    if (!force && start >= wordlistWindow.start && end <= wordlistWindow.end) return;
+
+    // 多渲染一屏，减少快速滚动时的重建次数
+    const padded = { start: Math.max(0, start - WORDLIST_OVERSCAN), end: Math.min(total, end + WORDLIST_OVERSCAN) };
+    wordlistWindow = padded;
+    wordlistItemsContainer.innerHTML = wordlistState.rows.slice(padded.start, padded.end)
+        .map((row, i) => renderWordlistRow(row, padded.start + i)).join('');
+}
+
+let wordlistScrollFrame = null;
+document.getElementById('wordlist-content').addEventListener('scroll', () => {
+    if (wordlistScrollFrame) return;
+    wordlistScrollFrame = requestAnimationFrame(() => {
+        wordlistScrollFrame = null;
+        renderWordlistWindow(false);
+    });
+});
+
+document.getElementById('wordlist-units').addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-unit]');
+    if (!chip) return;
+    wordlistState.unit = Number(chip.dataset.unit);
+    renderWordlist();
+});
+
+document.getElementById('wordlist-filters').addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-filter]');
+    if (!chip) return;
+    wordlistState.filter = chip.dataset.filter;
+    renderWordlist();
+});
+
+document.getElementById('wordlist-sort').addEventListener('change', (e) => {
+    wordlistState.sort = e.target.value;
+    renderWordlist();
+});
+
+document.getElementById('wordlist-unit-size').addEventListener('change', (e) => {
+    const book = StorageManager.getCurrentBook();
+    if (!book) return;
+    StorageManager.saveBookSettings(book.fileName, { unitSize: e.target.value === 'auto' ? null : Number(e.target.value) });
+    wordlistState.unit = 0;
+    renderWordlist();
+});
+
+// 眼睛：遮住中文自测，点某一行的中文单独揭开
+document.getElementById('btn-wordlist-eye').addEventListener('click', () => {
+    wordlistState.hideZh = !wordlistState.hideZh;
+    wordlistState.revealed = new Set();
+    renderWordlist();
+});
+
+wordlistItemsContainer.addEventListener('click', (e) => {
+    const rowEl = e.target.closest('.wordlist-row');
+    if (!rowEl) return;
+    const wordId = rowEl.dataset.id;
+    if (e.target.classList.contains('wordlist-star')) {
+        toggleStar(wordId);
+        syncStarIcon(e.target, wordId);
+    } else if (e.target.classList.contains('masked')) {
+        wordlistState.revealed.add(wordId);
+        e.target.classList.remove('masked');
+    } else {
+        showWordPopup(globalDict[wordId] ? globalDict[wordId].pt : rowEl.querySelector('.wordlist-pt').innerText, wordId);
+    }
+});
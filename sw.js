@@ -0,0 +1,100 @@
+// ================= Splendid 离线缓存 Service Worker =================
+// 应用外壳在安装时预缓存；词书文件由页面里的「下载离线单词包」写入 BOOK_CACHE
+
+const SHELL_CACHE = 'splendid-shell-v1';
+const BOOK_CACHE = 'splendid-books-v1';
+const RUNTIME_CACHE = 'splendid-runtime-v1';
+const KNOWN_CACHES = [SHELL_CACHE, BOOK_CACHE, RUNTIME_CACHE];
+const RUNTIME_CACHE_LIMIT = 200; // 运行时缓存最多保留的条目数，超出后删掉最早写入的
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './script.js',
+    './style.css',
+    './global_dict.json',
+    './books.json',
+    './manifest.webmanifest',
+    './icon.svg'
+];
+
+// 安装：预缓存外壳，并按 books.json 把内置词书文件一起缓存
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        try {
+            const manifest = await (await cache.match('./books.json')).json();
+            await cache.addAll(manifest.map(book => `./${book.file}`));
+        } catch (e) {
+            // 词书文件缺失不影响外壳可用，用户仍可手动下载
+        }
+        await self.skipWaiting();
+    })());
+});
+
+// 激活：清理旧版本缓存；总词典不能固定在词书缓存里（旧版本曾写入），否则再也拿不到新词条
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !KNOWN_CACHES.includes(name)).map(name => caches.delete(name)));
+        await (await caches.open(BOOK_CACHE)).delete('./global_dict.json', { ignoreSearch: true });
+        await self.clients.claim();
+    })());
+});
+
+// 请求策略：
+// - cache: 'no-store' 的请求（版本检查、离线下载）直连网络，断网时才退回缓存
+// - 已下载的离线词书固定返回下载时的版本，只有「更新词书」才会替换
+// - 其他请求先返回缓存，同时在后台更新（stale-while-revalidate）；只缓存同源的完整响应
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+    if (request.cache === 'no-store') {
+        event.respondWith(fetch(request).catch(async () => (await caches.match(request, { ignoreSearch: true })) || Response.error()));
+        return;
+    }
+
+    event.respondWith((async () => {
+        const pinned = await (await caches.open(BOOK_CACHE)).match(request, { ignoreSearch: true });
+        if (pinned) return pinned;
+
+        const shell = await caches.open(SHELL_CACHE);
+        const cached = await shell.match(request, { ignoreSearch: true }) || await caches.match(request, { ignoreSearch: true });
+        const network = fetch(request).then(async (response) => {
+            if (isCacheable(request, response)) {
+                // 写缓存失败（配额不足等）不能连累网络响应本身
+                await storeResponse(shell, request, response.clone()).catch(() => {});
+            }
+            return response;
+        }).catch(() => null);
+
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+        const response = await network;
+        if (response) return response;
+        if (request.mode === 'navigate') return shell.match('./index.html');
+        return new Response('', { status: 504, statusText: 'Offline' });
+    })());
+});
+
+// 媒体元素的 Range 请求会拿到 206 部分响应，Cache.put 不接受；跨域的不透明响应也不缓存
+function isCacheable(request, response) {
+    return !!response && response.status === 200 && !request.headers.has('range')
+        && new URL(request.url).origin === self.location.origin;
+}
+
+// 外壳文件原地更新；其他资源写入运行时缓存，并按条目上限淘汰旧的
+async function storeResponse(shell, request, response) {
+    if (await shell.match(request, { ignoreSearch: true })) {
+        await shell.put(request, response);
+        return;
+    }
+    const runtime = await caches.open(RUNTIME_CACHE);
+    await runtime.put(request, response);
+    const keys = await runtime.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_CACHE_LIMIT)).map(key => runtime.delete(key)));
+}